@@ -0,0 +1,295 @@
+import { countWords } from './readability.js';
+
+// Declarative browser interactions run before extraction: clicks, typing, scrolling,
+// waiting, cookie banners and "next page" pagination whose results get merged.
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_WAIT_MS = 1000;
+const MAX_WAIT_MS = 30000;
+const DEFAULT_MAX_SCROLLS = 20;
+const DEFAULT_SCROLL_DELAY_MS = 800;
+const SCROLL_IDLE_TIMEOUT_MS = 3000;
+const DEFAULT_MAX_PAGES = 5;
+const MAX_PAGES_LIMIT = 50;
+const TYPE_KEY_DELAY_MS = 20;
+// Slack per step (and per paginated page) for clicks, evaluates and extraction around the waits.
+const STEP_OVERHEAD_MS = 2000;
+
+const ACTIONS = new Set([
+  'click',
+  'type',
+  'select',
+  'press',
+  'wait',
+  'waitForSelector',
+  'waitForNetworkIdle',
+  'scrollToBottom',
+  'dismissCookieBanner',
+  'paginate'
+]);
+
+const NEEDS_SELECTOR = new Set(['click', 'type', 'select', 'waitForSelector', 'paginate']);
+
+const COOKIE_BUTTON_SELECTORS = [
+  '#onetrust-accept-btn-handler',
+  '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll',
+  '#didomi-notice-agree-button',
+  '.fc-cta-consent',
+  '[data-testid="cookie-policy-manage-dialog-accept-button"]',
+  'button[id*="accept" i]',
+  'button[class*="accept" i]',
+  '[aria-label*="accept" i]'
+];
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function invalidActions(message) {
+  const err = new Error('INVALID_ACTIONS');
+  err.statusCode = 400;
+  err.publicPayload = { error: 'Invalid input', errorType: 'INVALID_ACTIONS', message };
+  return err;
+}
+
+export function normalizeActions(raw) {
+  if (!raw) return [];
+  if (!Array.isArray(raw)) throw invalidActions('`actions` must be an array.');
+
+  return raw.map((step, i) => {
+    const action = String(step?.action || '');
+    if (!ACTIONS.has(action)) {
+      throw invalidActions(`Action #${i + 1} has unknown type "${action}". Use one of: ${[...ACTIONS].join(', ')}.`);
+    }
+    if (NEEDS_SELECTOR.has(action) && !step.selector) {
+      throw invalidActions(`Action #${i + 1} (${action}) needs a \`selector\`.`);
+    }
+    if (action === 'press' && !step.key) throw invalidActions(`Action #${i + 1} (press) needs a \`key\`.`);
+    return { ...step, action };
+  });
+}
+
+const stepTimeoutMs = (step) => Number(step.timeoutMs) || DEFAULT_TIMEOUT_MS;
+const waitMs = (step) => Math.min(Number(step.ms) || DEFAULT_WAIT_MS, MAX_WAIT_MS);
+const maxPagesOf = (step) => Math.min(Number(step.maxPages) || DEFAULT_MAX_PAGES, MAX_PAGES_LIMIT);
+const scrollOptionsOf = (step) => ({
+  maxScrolls: Number(step.maxScrolls) || DEFAULT_MAX_SCROLLS,
+  delayMs: Number(step.delayMs) || DEFAULT_SCROLL_DELAY_MS
+});
+
+// The longest one step may take with its own waits and timeouts, so the caller's overall deadline
+// never ends a step before the step's own limits would.
+function stepAllowanceMs(step) {
+  const timeout = stepTimeoutMs(step);
+  switch (step.action) {
+    case 'click':
+      return timeout * (step.waitForNavigation ? 2 : 1);
+    case 'type':
+      return timeout + String(step.text ?? step.value ?? '').length * TYPE_KEY_DELAY_MS;
+    case 'select':
+    case 'waitForSelector':
+    case 'waitForNetworkIdle':
+      return timeout;
+    case 'wait':
+      return waitMs(step);
+    case 'scrollToBottom': {
+      const { maxScrolls, delayMs } = scrollOptionsOf(step);
+      return maxScrolls * (delayMs + SCROLL_IDLE_TIMEOUT_MS);
+    }
+    case 'paginate':
+      // Navigation, the optional selector and network idle each wait up to `timeout` per page.
+      return maxPagesOf(step) * ((step.waitForSelector ? 3 : 2) * timeout + STEP_OVERHEAD_MS);
+    default:
+      return 0;
+  }
+}
+
+export function actionsTimeoutMs(actions) {
+  return actions.reduce((sum, step) => sum + stepAllowanceMs(step) + STEP_OVERHEAD_MS, 0);
+}
+
+async function tryNetworkIdle(page, timeout) {
+  try {
+    await page.waitForNetworkIdle({ idleTime: 500, timeout });
+  } catch {
+    // Long-polling sites never go idle; that's fine.
+  }
+}
+
+async function scrollToBottom(page, { maxScrolls, delayMs }) {
+  let previousHeight = -1;
+  let stableRounds = 0;
+  let scrolls = 0;
+
+  // Keep going until the page stops growing twice in a row (infinite feeds, lazy sections).
+  while (scrolls < maxScrolls && stableRounds < 2) {
+    const height = await page.evaluate(() => {
+      window.scrollTo(0, document.body.scrollHeight);
+      return document.body.scrollHeight;
+    });
+    scrolls++;
+    await delay(delayMs);
+    await tryNetworkIdle(page, SCROLL_IDLE_TIMEOUT_MS);
+    stableRounds = height === previousHeight ? stableRounds + 1 : 0;
+    previousHeight = height;
+  }
+  return scrolls;
+}
+
+async function dismissCookieBanner(page) {
+  for (const selector of COOKIE_BUTTON_SELECTORS) {
+    try {
+      const handle = await page.$(selector);
+      if (handle && (await handle.isVisible())) {
+        await handle.click();
+        await delay(500);
+        return true;
+      }
+    } catch {
+      // Try the next candidate.
+    }
+  }
+
+  // Fall back to button text for banners without stable ids.
+  return page.evaluate(() => {
+    const pattern = /^(accept|agree|allow|ok|got it)( all)?( cookies)?[.!]?$/i;
+    const button = [...document.querySelectorAll('button, a[role="button"], [role="button"]')].find(
+      (el) => pattern.test((el.innerText || '').trim()) && el.offsetParent !== null
+    );
+    if (!button) return false;
+    button.click();
+    return true;
+  });
+}
+
+// Clicks "next" and extracts after each page until the button disappears or maxPages is hit.
+async function paginate(page, step, extract) {
+  const maxPages = maxPagesOf(step);
+  const timeout = stepTimeoutMs(step);
+  const pages = [await extract()];
+
+  for (let i = 1; i < maxPages; i++) {
+    const next = await page.$(step.selector);
+    if (!next || !(await next.isVisible())) break;
+    const disabled = await next.evaluate(
+      (el) => el.disabled || el.getAttribute('aria-disabled') === 'true' || el.classList.contains('disabled')
+    );
+    if (disabled) break;
+
+    await Promise.all([
+      page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout }).catch(() => {}),
+      next.click()
+    ]);
+    if (step.waitForSelector) {
+      await page.waitForSelector(step.waitForSelector, { timeout }).catch(() => {});
+    }
+    await tryNetworkIdle(page, timeout);
+    pages.push(await extract());
+  }
+
+  return pages;
+}
+
+export async function runActions(page, actions, { extract }) {
+  const report = { executed: 0, failed: [], pagesExtracted: 0 };
+  const extraPages = [];
+
+  for (const [i, step] of actions.entries()) {
+    const timeout = stepTimeoutMs(step);
+    try {
+      switch (step.action) {
+        case 'click':
+          await page.waitForSelector(step.selector, { visible: true, timeout });
+          await page.click(step.selector);
+          if (step.waitForNavigation) {
+            await page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout }).catch(() => {});
+          }
+          break;
+        case 'type':
+          await page.waitForSelector(step.selector, { visible: true, timeout });
+          await page.type(step.selector, String(step.text ?? step.value ?? ''), { delay: TYPE_KEY_DELAY_MS });
+          break;
+        case 'select':
+          await page.waitForSelector(step.selector, { timeout });
+          await page.select(step.selector, ...[].concat(step.value ?? []).map(String));
+          break;
+        case 'press':
+          await page.keyboard.press(step.key);
+          break;
+        case 'wait':
+          await delay(waitMs(step));
+          break;
+        case 'waitForSelector':
+          await page.waitForSelector(step.selector, { visible: Boolean(step.visible), timeout });
+          break;
+        case 'waitForNetworkIdle':
+          await page.waitForNetworkIdle({ idleTime: Number(step.idleMs) || 750, timeout });
+          break;
+        case 'scrollToBottom':
+          await scrollToBottom(page, scrollOptionsOf(step));
+          break;
+        case 'dismissCookieBanner':
+          await dismissCookieBanner(page);
+          break;
+        case 'paginate':
+          extraPages.push(...(await paginate(page, step, extract)));
+          break;
+        default:
+          break;
+      }
+      report.executed++;
+    } catch (err) {
+      console.error('[ERROR] Browser action failed:', { step: i + 1, action: step.action, error: err?.message });
+      report.failed.push({ step: i + 1, action: step.action, error: err?.message || 'Action failed' });
+      if (!step.optional) throw new Error(`ACTION_FAILED_${i + 1}`);
+    }
+  }
+
+  report.pagesExtracted = extraPages.length;
+  return { report, extraPages };
+}
+
+function mergeUnique(lists, keyOf) {
+  const seen = new Set();
+  const out = [];
+  for (const item of lists.flat()) {
+    const key = keyOf(item);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(item);
+  }
+  return out;
+}
+
+// Folds paginated extractions into the final one; arrays are de-duplicated, scalars keep the first page.
+export function mergeExtractions(base, extras) {
+  if (!extras.length) return base;
+  const all = [...extras, base];
+
+  const custom = base.custom
+    ? Object.fromEntries(
+        Object.keys(base.custom).map((name) => {
+          const values = all.map((e) => e.custom?.[name]);
+          return Array.isArray(base.custom[name])
+            ? [name, mergeUnique(values.filter(Array.isArray), (v) => JSON.stringify(v))]
+            : [name, values.find((v) => v !== null && v !== undefined) ?? null];
+        })
+      )
+    : undefined;
+
+  const mainContent = mergeUnique(all.map((e) => (e.mainContent ? [e.mainContent] : [])), (m) => m).join('\n\n');
+
+  return {
+    ...base,
+    title: extras[0].title || base.title,
+    description: extras[0].description || base.description,
+    paragraphs: mergeUnique(all.map((e) => e.paragraphs || []), (p) => p),
+    images: mergeUnique(all.map((e) => e.images || []), (u) => u),
+    links: mergeUnique(all.map((e) => e.links || []), (l) => l.url),
+    tables: mergeUnique(all.map((e) => e.tables || []), (t) => t.html),
+    lists: mergeUnique(all.map((e) => e.lists || []), (l) => l.html),
+    uniqueComponents: mergeUnique(all.map((e) => e.uniqueComponents || []), (c) => `${c.name}::${c.content}`),
+    mainContent,
+    wordCount: countWords(mainContent),
+    _outline: mergeUnique(all.map((e) => e._outline || []), (b) => `${b.type}:${b.text}`),
+    ...(custom ? { custom } : {})
+  };
+}
@@ -0,0 +1,286 @@
+// Credentials for authorized scraping: cookies, custom headers, HTTP auth and an optional
+// scripted browser login whose resulting cookies can be persisted and reused by later runs.
+
+const DEFAULT_STEP_TIMEOUT_MS = 15000;
+const DEFAULT_SESSION_MAX_AGE_HOURS = 12;
+const LOGIN_ACTIONS = new Set(['goto', 'fill', 'click', 'waitForSelector', 'waitForNavigation', 'wait']);
+
+function invalidAuth(errorType, message) {
+  const err = new Error(errorType);
+  err.statusCode = 400;
+  err.publicPayload = { error: 'Invalid input', errorType, message };
+  return err;
+}
+
+// Netscape/cURL cookie jar: domain, includeSubdomains, path, secure, expires, name, value.
+export function parseNetscapeCookies(text) {
+  const cookies = [];
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    let line = rawLine.trim();
+    let httpOnly = false;
+    if (line.startsWith('#HttpOnly_')) {
+      httpOnly = true;
+      line = line.slice('#HttpOnly_'.length);
+    }
+    if (!line || line.startsWith('#')) continue;
+
+    const parts = line.split('\t');
+    if (parts.length < 7) continue;
+    const [domain, includeSubdomains, path, secure, expires, name, ...rest] = parts;
+    const expiresAt = Number(expires);
+    cookies.push({
+      name,
+      value: rest.join('\t'),
+      domain,
+      ...(includeSubdomains.toUpperCase() === 'FALSE' ? { hostOnly: true } : {}),
+      path: path || '/',
+      secure: secure.toUpperCase() === 'TRUE',
+      httpOnly,
+      ...(expiresAt > 0 ? { expires: expiresAt } : {})
+    });
+  }
+  return cookies;
+}
+
+export function parseCookies(raw) {
+  if (!raw) return [];
+
+  let list = raw;
+  if (typeof raw === 'string') {
+    const trimmed = raw.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        list = JSON.parse(trimmed);
+      } catch {
+        throw invalidAuth('INVALID_COOKIES', '`cookies` looks like JSON but could not be parsed.');
+      }
+    } else {
+      return parseNetscapeCookies(trimmed);
+    }
+  }
+
+  if (!Array.isArray(list)) {
+    throw invalidAuth('INVALID_COOKIES', '`cookies` must be a JSON array or a Netscape cookie file.');
+  }
+
+  return list.map((c, i) => {
+    if (!c?.name || c.value === undefined) {
+      throw invalidAuth('INVALID_COOKIES', `Cookie #${i + 1} needs a \`name\` and a \`value\`.`);
+    }
+    // Accept both browser-extension exports (expirationDate) and Puppeteer shape (expires).
+    const expires = Number(c.expires ?? c.expirationDate);
+    return {
+      name: String(c.name),
+      value: String(c.value),
+      ...(c.domain ? { domain: String(c.domain) } : {}),
+      ...(c.domain && c.hostOnly === true ? { hostOnly: true } : {}),
+      path: c.path || '/',
+      secure: Boolean(c.secure),
+      httpOnly: Boolean(c.httpOnly),
+      ...(expires > 0 ? { expires } : {})
+    };
+  });
+}
+
+// Cookies without a `domain` belong to the page they were given for, like a host-only cookie set
+// by that page; they must not follow redirects or crawled links to other hosts.
+export function bindHostOnlyCookies(cookies, pageUrl) {
+  const host = new URL(pageUrl).hostname;
+  return cookies.map((c) => (c.domain ? c : { ...c, domain: host, hostOnly: true }));
+}
+
+function domainMatches(cookie, host) {
+  if (!cookie.domain) return false;
+  const domain = cookie.domain.replace(/^\./, '').toLowerCase();
+  if (cookie.hostOnly) return host === domain;
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+// Puppeteer has no host-only flag: a cookie set by `url` instead of `domain` is host-only.
+export function toBrowserCookies(cookies, pageUrl) {
+  const { protocol } = new URL(pageUrl);
+  return cookies.map(({ hostOnly, ...c }) => {
+    if (!hostOnly) return c;
+    const { domain, ...rest } = c;
+    return { ...rest, url: `${protocol}//${domain}${c.path || '/'}` };
+  });
+}
+
+export function cookiesForUrl(cookies, targetUrl) {
+  const parsed = new URL(targetUrl);
+  const now = Date.now() / 1000;
+  return cookies.filter(
+    (c) =>
+      domainMatches(c, parsed.hostname.toLowerCase()) &&
+      parsed.pathname.startsWith(c.path || '/') &&
+      (!c.secure || parsed.protocol === 'https:') &&
+      !(c.expires > 0 && c.expires < now)
+  );
+}
+
+export function cookieHeader(cookies, targetUrl) {
+  return cookiesForUrl(cookies, targetUrl)
+    .map((c) => `${c.name}=${c.value}`)
+    .join('; ');
+}
+
+function normalizeLoginSteps(raw) {
+  if (!raw) return [];
+  if (!Array.isArray(raw)) throw invalidAuth('INVALID_LOGIN_STEPS', '`loginSteps` must be an array.');
+
+  return raw.map((step, i) => {
+    const action = String(step?.action || '');
+    if (!LOGIN_ACTIONS.has(action)) {
+      throw invalidAuth(
+        'INVALID_LOGIN_STEPS',
+        `Login step #${i + 1} has unknown action "${action}". Use one of: ${[...LOGIN_ACTIONS].join(', ')}.`
+      );
+    }
+    if (action === 'goto' && !step.url) {
+      throw invalidAuth('INVALID_LOGIN_STEPS', `Login step #${i + 1} (goto) needs a \`url\`.`);
+    }
+    if (['fill', 'click', 'waitForSelector'].includes(action) && !step.selector) {
+      throw invalidAuth('INVALID_LOGIN_STEPS', `Login step #${i + 1} (${action}) needs a \`selector\`.`);
+    }
+    return { ...step, action };
+  });
+}
+
+export function resolveAuth(input = {}) {
+  const headers = {};
+  if (input.customHeaders && typeof input.customHeaders === 'object') {
+    for (const [name, value] of Object.entries(input.customHeaders)) {
+      if (value !== undefined && value !== null) headers[name] = String(value);
+    }
+  }
+
+  const authType = String(input.authType || 'none').toLowerCase();
+  if (authType === 'basic') {
+    if (!input.authUsername) throw invalidAuth('INVALID_AUTH', 'Basic auth needs `authUsername`.');
+    const token = Buffer.from(`${input.authUsername}:${input.authPassword || ''}`).toString('base64');
+    headers.Authorization = `Basic ${token}`;
+  } else if (authType === 'bearer') {
+    if (!input.authToken) throw invalidAuth('INVALID_AUTH', 'Bearer auth needs `authToken`.');
+    headers.Authorization = `Bearer ${input.authToken}`;
+  } else if (authType !== 'none') {
+    throw invalidAuth('INVALID_AUTH', `Unknown authType "${authType}". Use none, basic or bearer.`);
+  }
+
+  const sessionMaxAgeHours = Number(input.sessionMaxAgeHours);
+
+  return {
+    headers,
+    cookies: mergeCookies(parseCookies(input.cookies), parseCookies(input.cookieFile)),
+    loginSteps: normalizeLoginSteps(input.loginSteps),
+    // `{{authUsername}}` / `{{authPassword}}` in fill values keep credentials in secret fields.
+    secrets: { authUsername: input.authUsername || '', authPassword: input.authPassword || '' },
+    sessionMaxAgeMs:
+      (Number.isFinite(sessionMaxAgeHours) && sessionMaxAgeHours > 0
+        ? sessionMaxAgeHours
+        : DEFAULT_SESSION_MAX_AGE_HOURS) * 3600 * 1000
+  };
+}
+
+export function hasAuth(auth) {
+  return Boolean(auth && (Object.keys(auth.headers).length || auth.cookies.length || auth.loginSteps.length));
+}
+
+function fillTemplate(value, secrets) {
+  return String(value ?? '').replace(/\{\{\s*(authUsername|authPassword)\s*\}\}/g, (_, key) => secrets[key]);
+}
+
+export async function runLoginSteps(page, auth) {
+  for (const [i, step] of auth.loginSteps.entries()) {
+    const timeout = Number(step.timeoutMs) || DEFAULT_STEP_TIMEOUT_MS;
+    try {
+      switch (step.action) {
+        case 'goto':
+          await page.goto(step.url, { waitUntil: 'domcontentloaded', timeout });
+          break;
+        case 'fill':
+          await page.waitForSelector(step.selector, { visible: true, timeout });
+          await page.$eval(step.selector, (el) => {
+            el.value = '';
+          });
+          await page.type(step.selector, fillTemplate(step.value, auth.secrets), { delay: 20 });
+          break;
+        case 'click':
+          await page.waitForSelector(step.selector, { visible: true, timeout });
+          await page.click(step.selector);
+          break;
+        case 'waitForSelector':
+          await page.waitForSelector(step.selector, { timeout });
+          break;
+        case 'waitForNavigation':
+          await page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout });
+          break;
+        case 'wait':
+          await new Promise((resolve) => setTimeout(resolve, Math.min(Number(step.ms) || 1000, 30000)));
+          break;
+        default:
+          break;
+      }
+    } catch {
+      // Step index only: the error text can echo typed values.
+      console.error('[ERROR] Login step failed:', { step: i + 1, action: step.action });
+      throw new Error(`LOGIN_STEP_FAILED_${i + 1}`);
+    }
+  }
+}
+
+// Wraps any key-value store with getValue/setValue (e.g. Apify's) to persist browser sessions.
+// `claimLogin()` lets one page of a batch/crawl log in while the others wait for its session.
+export function createSessionStore(store, key) {
+  let pendingLogin = null;
+  return {
+    key,
+    // Resolves once no login is running (immediately if none is).
+    async loginInProgress() {
+      while (pendingLogin) await pendingLogin;
+    },
+    // Returns a release function, or null when another page is already logging in.
+    claimLogin() {
+      if (pendingLogin) return null;
+      let release;
+      pendingLogin = new Promise((resolve) => {
+        release = resolve;
+      });
+      return () => {
+        pendingLogin = null;
+        release();
+      };
+    },
+    async load() {
+      const session = await store.getValue(key);
+      return session && Array.isArray(session.cookies) ? session : null;
+    },
+    async save(cookies) {
+      await store.setValue(key, { cookies, savedAt: new Date().toISOString() });
+    }
+  };
+}
+
+// Keeps the login result for the rest of a batch/crawl when nothing is persisted between runs.
+export function createMemorySessionStore() {
+  const values = new Map();
+  return createSessionStore(
+    {
+      getValue: async (key) => values.get(key) ?? null,
+      setValue: async (key, value) => {
+        values.set(key, value);
+      }
+    },
+    'SESSION'
+  );
+}
+
+export function isSessionFresh(session, maxAgeMs) {
+  const savedAt = Date.parse(session?.savedAt || '');
+  return Number.isFinite(savedAt) && Date.now() - savedAt < maxAgeMs;
+}
+
+export function mergeCookies(base, extra) {
+  const byKey = new Map();
+  for (const c of [...base, ...extra]) byKey.set(`${c.domain || ''}|${c.path || '/'}|${c.name}`, c);
+  return [...byKey.values()];
+}
@@ -0,0 +1,137 @@
+import { scrapeAndSummarize, createSharedBrowser } from '../route.js';
+import { createProxyRotator } from './proxy.js';
+import { createMemorySessionStore } from './auth.js';
+import { createRobotsChecker } from './robots.js';
+import { createDomainLimiter } from './domain-limiter.js';
+import { createRunBudget } from './limits.js';
+
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 20;
+
+// Turns a thrown scrape error into a dataset record so one bad URL doesn't end the run.
+export function toFailureRecord(url, err) {
+  return {
+    url,
+    ...(err?.publicPayload || {
+      error: 'Scraping failed',
+      errorType: 'SCRAPE_ERROR',
+      message: err?.message || 'Unknown error',
+      timestamp: new Date().toISOString()
+    }),
+    failed: true
+  };
+}
+
+export function resolveConcurrency(value) {
+  const n = Number.parseInt(value, 10);
+  if (!Number.isFinite(n) || n < 1) return DEFAULT_CONCURRENCY;
+  return Math.min(n, MAX_CONCURRENCY);
+}
+
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+export function collectBatchUrls(input) {
+  const list = [...(Array.isArray(input.urls) ? input.urls : []), input.url]
+    .map((v) => (typeof v === 'string' ? v : v?.url))
+    .map((v) => String(v || '').trim())
+    .filter(Boolean);
+  return [...new Set(list)];
+}
+
+export async function runBatch(
+  input,
+  {
+    onResult,
+    sessionStore = createMemorySessionStore(),
+    snapshotStore,
+    cache,
+    captureStore,
+    sharedBrowser: externalBrowser,
+    budget = createRunBudget(input),
+    cookieUrl
+  } = {}
+) {
+  const urls = collectBatchUrls(input);
+  const concurrency = resolveConcurrency(input.maxConcurrency);
+  // A long-lived caller (the API server) passes its own browser and keeps it open.
+  const sharedBrowser = externalBrowser || createSharedBrowser();
+  // Shared so sticky sessions and block rotation carry across pages.
+  const proxyRotator = createProxyRotator(input);
+  // Concurrent URLs on one host still queue up behind its robots.txt and per-host limits.
+  const robots = createRobotsChecker(input);
+  const domainLimiter = createDomainLimiter(input);
+  const stats = {
+    urlsTotal: urls.length,
+    urlsSucceeded: 0,
+    urlsFailed: 0,
+    urlsSkipped: 0,
+    ...(snapshotStore ? { urlsChanged: 0 } : {})
+  };
+
+  // Only set once a URL was actually skipped; a budget that runs out with the last page is no news.
+  let budgetExceeded = null;
+
+  console.log('[INFO] Batch started:', { urls: urls.length, concurrency });
+
+  try {
+    await mapWithConcurrency(urls, concurrency, async (url) => {
+      // Past the time or memory budget the remaining URLs are counted, not scraped.
+      const over = budget.exceeded();
+      if (over) {
+        budgetExceeded = over;
+        stats.urlsSkipped++;
+        return;
+      }
+      let record;
+      try {
+        record = await scrapeAndSummarize(
+          { ...input, url },
+          {
+            sharedBrowser,
+            proxyRotator,
+            sessionStore,
+            snapshotStore,
+            cache,
+            captureStore,
+            robots,
+            domainLimiter,
+            cookieUrl: cookieUrl || urls[0]
+          }
+        );
+        stats.urlsSucceeded++;
+        if (record.change?.changed) stats.urlsChanged++;
+      } catch (err) {
+        console.error('[ERROR] Batch URL failed:', { url, error: err?.message });
+        record = toFailureRecord(url, err);
+        stats.urlsFailed++;
+      }
+      if (onResult) await onResult(record);
+    });
+  } finally {
+    if (!externalBrowser) await sharedBrowser.close();
+  }
+
+  const summary = {
+    mode: 'batch',
+    concurrency,
+    ...stats,
+    ...(budgetExceeded ? { budgetExceeded } : {}),
+    finishedAt: new Date().toISOString()
+  };
+
+  console.log('[INFO] Batch finished:', summary);
+  return summary;
+}
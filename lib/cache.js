@@ -0,0 +1,104 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// Three caches share one store: raw HTML per URL (revalidated with ETag / Last-Modified),
+// extraction results per content hash, and AI answers per (content hash, prompt, model).
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// HTML defaults to 0: always ask the server, but a 304 saves the download and re-extraction.
+const DEFAULT_TTL_HOURS = { html: 0, extraction: 24 * 7, ai: 24 * 7 };
+
+export function hashContent(value) {
+  return createHash('sha1')
+    .update(typeof value === 'string' ? value : JSON.stringify(value))
+    .digest('hex');
+}
+
+function ttlMs(value, fallbackHours) {
+  const n = Number.parseFloat(value);
+  return (Number.isFinite(n) && n >= 0 ? n : fallbackHours) * HOUR_MS;
+}
+
+// Minimal getValue/setValue store on disk, for the API server and local runs.
+export function createDirectoryStore(dir) {
+  const fileFor = (key) => path.join(dir, `${key}.json`);
+  let ready = null;
+  return {
+    async getValue(key) {
+      try {
+        return JSON.parse(await readFile(fileFor(key), 'utf8'));
+      } catch {
+        return null;
+      }
+    },
+    async setValue(key, value) {
+      ready ||= mkdir(dir, { recursive: true });
+      await ready;
+      await writeFile(fileFor(key), JSON.stringify(value));
+    }
+  };
+}
+
+// Wraps any store with getValue/setValue. TTLs come from the `cache*TtlHours` input fields.
+export function createCache(store, input = {}) {
+  const ttls = {
+    html: ttlMs(input.cacheHtmlTtlHours, DEFAULT_TTL_HOURS.html),
+    extraction: ttlMs(input.cacheExtractionTtlHours, DEFAULT_TTL_HOURS.extraction),
+    ai: ttlMs(input.cacheAiTtlHours, DEFAULT_TTL_HOURS.ai)
+  };
+
+  const read = async (key) => {
+    try {
+      return await store.getValue(key);
+    } catch (err) {
+      console.error('[ERROR] Cache read failed:', { key, error: err?.message });
+      return null;
+    }
+  };
+  // A cache that can't be written should slow the run down, not fail it.
+  const write = async (key, value) => {
+    try {
+      await store.setValue(key, { ...value, storedAt: Date.now() });
+    } catch (err) {
+      console.error('[ERROR] Cache write failed:', { key, error: err?.message });
+    }
+  };
+  const isFresh = (entry, ttl) => Boolean(entry) && Date.now() - entry.storedAt < ttl;
+
+  return {
+    // Stale HTML entries are still returned: their validators drive the conditional request.
+    async getHtml(url) {
+      const entry = await read(`HTML-${hashContent(url).slice(0, 24)}`);
+      return entry ? { ...entry, fresh: isFresh(entry, ttls.html) } : null;
+    },
+    // `signals` (response headers, cookie names) keep tech detection working on cache hits.
+    setHtml(url, { html, etag, lastModified, signals }) {
+      return write(`HTML-${hashContent(url).slice(0, 24)}`, {
+        url,
+        html,
+        contentHash: hashContent(html),
+        etag: etag || null,
+        lastModified: lastModified || null,
+        signals: signals || null
+      });
+    },
+
+    async getExtraction(key) {
+      const entry = await read(`EXTRACT-${hashContent(key)}`);
+      return isFresh(entry, ttls.extraction) ? entry.value : null;
+    },
+    setExtraction(key, value) {
+      return write(`EXTRACT-${hashContent(key)}`, { value });
+    },
+
+    async getAi(key) {
+      const entry = await read(`AI-${hashContent(key)}`);
+      return isFresh(entry, ttls.ai) ? entry.value : null;
+    },
+    setAi(key, value) {
+      return write(`AI-${hashContent(key)}`, { value });
+    }
+  };
+}
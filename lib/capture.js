@@ -0,0 +1,134 @@
+import { createHash } from 'node:crypto';
+
+// Visual captures from the browser path: page screenshots (viewport or full page),
+// an element screenshot by selector, and print-to-PDF.
+
+const SCREENSHOT_MODES = new Set(['none', 'viewport', 'fullPage']);
+const IMAGE_FORMATS = new Set(['png', 'jpeg']);
+const PDF_FORMATS = new Set(['A4', 'Letter', 'Legal', 'A3']);
+const DEFAULT_JPEG_QUALITY = 80;
+
+function invalidCapture(message) {
+  const err = new Error('INVALID_CAPTURE');
+  err.statusCode = 400;
+  err.publicPayload = { error: 'Invalid input', errorType: 'INVALID_CAPTURE', message };
+  return err;
+}
+
+// Returns null when nothing is requested, so callers can keep the fast HTTP path.
+export function normalizeCaptureOptions(input = {}) {
+  const mode = input.screenshot || 'none';
+  if (!SCREENSHOT_MODES.has(mode)) {
+    throw invalidCapture(`screenshot must be one of: ${[...SCREENSHOT_MODES].join(', ')}.`);
+  }
+  const format = String(input.screenshotFormat || 'png').toLowerCase();
+  if (!IMAGE_FORMATS.has(format)) throw invalidCapture('screenshotFormat must be png or jpeg.');
+  const pdfFormat = input.pdfFormat || 'A4';
+  if (!PDF_FORMATS.has(pdfFormat)) throw invalidCapture(`pdfFormat must be one of: ${[...PDF_FORMATS].join(', ')}.`);
+
+  const quality = Number.parseInt(input.screenshotQuality, 10);
+  const image = {
+    type: format,
+    ...(format === 'jpeg'
+      ? { quality: Number.isFinite(quality) ? Math.min(100, Math.max(1, quality)) : DEFAULT_JPEG_QUALITY }
+      : {})
+  };
+  const selector = String(input.screenshotSelector || '').trim();
+
+  const options = {
+    screenshot: mode === 'none' ? null : { ...image, fullPage: mode === 'fullPage' },
+    element: selector ? { ...image, selector } : null,
+    pdf: input.capturePdf ? { format: pdfFormat } : null
+  };
+  return options.screenshot || options.element || options.pdf ? options : null;
+}
+
+// Takes every requested capture. A missing element is reported, not thrown,
+// so the extracted text still comes back.
+export async function takeCaptures(page, options) {
+  const captures = [];
+  const imageType = (o) => (o.type === 'jpeg' ? 'image/jpeg' : 'image/png');
+  const ext = (o) => (o.type === 'jpeg' ? 'jpg' : 'png');
+
+  // Lazy images below the fold need a scroll before a full-page shot; come back up afterwards.
+  await page
+    .evaluate(async () => {
+      for (let y = 0; y < document.body.scrollHeight; y += window.innerHeight) {
+        window.scrollTo(0, y);
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+      window.scrollTo(0, 0);
+    })
+    .catch(() => {});
+
+  if (options.screenshot) {
+    const { fullPage, ...rest } = options.screenshot;
+    captures.push({
+      kind: fullPage ? 'fullPage' : 'viewport',
+      name: `screenshot.${ext(rest)}`,
+      contentType: imageType(rest),
+      body: Buffer.from(await page.screenshot({ ...rest, fullPage }))
+    });
+  }
+
+  if (options.element) {
+    const { selector, ...rest } = options.element;
+    const element = await page.$(selector);
+    if (element) {
+      captures.push({
+        kind: 'element',
+        selector,
+        name: `element.${ext(rest)}`,
+        contentType: imageType(rest),
+        body: Buffer.from(await element.screenshot(rest))
+      });
+    } else {
+      captures.push({ kind: 'element', selector, error: 'Element not found' });
+    }
+  }
+
+  if (options.pdf) {
+    captures.push({
+      kind: 'pdf',
+      name: 'page.pdf',
+      contentType: 'application/pdf',
+      body: Buffer.from(await page.pdf({ format: options.pdf.format, printBackground: true }))
+    });
+  }
+
+  return captures;
+}
+
+// Stores capture files next to OUTPUT, keyed per page URL, and returns their public URLs.
+export function createCaptureStore(store) {
+  const prefixFor = (url) => `CAPTURE-${createHash('sha1').update(String(url)).digest('hex').slice(0, 12)}`;
+  return {
+    async save(url, capture) {
+      const key = `${prefixFor(url)}-${capture.name}`;
+      await store.setValue(key, capture.body, { contentType: capture.contentType });
+      return { key, url: store.getPublicUrl(key) };
+    }
+  };
+}
+
+// Output entries: links when a store is available, inline base64 otherwise (API server).
+export async function describeCaptures(captures, pageUrl, captureStore) {
+  const described = [];
+  for (const { body, name, contentType, ...meta } of captures) {
+    if (!body) {
+      described.push(meta);
+      continue;
+    }
+    const base = { ...meta, contentType, bytes: body.length };
+    if (!captureStore) {
+      described.push({ ...base, base64: body.toString('base64') });
+      continue;
+    }
+    try {
+      described.push({ ...base, ...(await captureStore.save(pageUrl, { body, name, contentType })) });
+    } catch (err) {
+      described.push({ ...base, error: `Storing failed: ${err?.message}` });
+    }
+  }
+  return described;
+}
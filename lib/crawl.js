@@ -0,0 +1,224 @@
+import { scrapeAndSummarize, createSharedBrowser } from '../route.js';
+import { createProxyRotator } from './proxy.js';
+import { createMemorySessionStore } from './auth.js';
+import { createRobotsChecker } from './robots.js';
+import { createDomainLimiter } from './domain-limiter.js';
+import { toFailureRecord } from './batch.js';
+import { createRunBudget } from './limits.js';
+
+const DEFAULT_MAX_DEPTH = 2;
+const DEFAULT_MAX_PAGES = 50;
+
+// Query params that never change page content; dropping them keeps the dedupe set small.
+const TRACKING_PARAMS = /^(utm_[a-z_]+|gclid|fbclid|msclkid|mc_cid|mc_eid|ref_src)$/i;
+
+function toNonNegativeInt(value, fallback) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function toStringList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .map((v) => (typeof v === 'string' ? v : v?.url))
+    .map((v) => String(v || '').trim())
+    .filter(Boolean);
+}
+
+export function normalizeUrl(rawUrl, base) {
+  let parsed;
+  try {
+    parsed = new URL(rawUrl, base);
+  } catch {
+    return null;
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+  parsed.hash = '';
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  // "/docs/" and "/docs" are the same page on practically every site.
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  return parsed.href;
+}
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        source += '.*';
+        i++;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Patterns written as /.../flags are regular expressions, everything else is a glob.
+export function compileUrlPattern(pattern) {
+  const trimmed = String(pattern).trim();
+  const regexLiteral = trimmed.match(/^\/(.+)\/([a-z]*)$/);
+
+  try {
+    return regexLiteral ? new RegExp(regexLiteral[1], regexLiteral[2]) : globToRegExp(trimmed);
+  } catch {
+    const err = new Error('INVALID_URL_PATTERN');
+    err.statusCode = 400;
+    err.publicPayload = {
+      error: 'Invalid input',
+      errorType: 'INVALID_URL_PATTERN',
+      message: `Could not compile URL pattern: ${trimmed}`
+    };
+    throw err;
+  }
+}
+
+export function createUrlScope({ seeds, includePatterns, excludePatterns }) {
+  const includes = toStringList(includePatterns).map(compileUrlPattern);
+  const excludes = toStringList(excludePatterns).map(compileUrlPattern);
+  const seedHosts = new Set(seeds.map((s) => new URL(s).hostname));
+
+  return (url) => {
+    if (excludes.some((re) => re.test(url))) return false;
+    // Without explicit include patterns, stay on the hosts we started from.
+    if (includes.length === 0) return seedHosts.has(new URL(url).hostname);
+    return includes.some((re) => re.test(url));
+  };
+}
+
+export async function crawl(
+  input,
+  { onPage, sessionStore = createMemorySessionStore(), snapshotStore, cache, captureStore } = {}
+) {
+  const seeds = [...new Set(toStringList(input.startUrls?.length ? input.startUrls : input.url)
+    .map((u) => normalizeUrl(u))
+    .filter(Boolean))];
+
+  if (seeds.length === 0) {
+    const err = new Error('URL_REQUIRED');
+    err.statusCode = 400;
+    err.publicPayload = { error: 'Crawl mode needs `url` or at least one valid http(s) entry in `startUrls`' };
+    throw err;
+  }
+
+  const maxDepth = toNonNegativeInt(input.maxCrawlDepth, DEFAULT_MAX_DEPTH);
+  const maxPages = Math.max(1, toNonNegativeInt(input.maxPages, DEFAULT_MAX_PAGES));
+  const inScope = createUrlScope({
+    seeds,
+    includePatterns: input.includePatterns,
+    excludePatterns: input.excludePatterns
+  });
+
+  const seen = new Set(seeds);
+  const queue = seeds.map((url) => ({ url, depth: 0, parentUrl: null }));
+  const stats = {
+    pagesProcessed: 0,
+    pagesSucceeded: 0,
+    pagesFailed: 0,
+    pagesDisallowed: 0,
+    ...(snapshotStore ? { pagesChanged: 0 } : {})
+  };
+  const sharedBrowser = createSharedBrowser();
+  // One rotator for the whole crawl, so a domain keeps its session until it gets blocked.
+  const proxyRotator = createProxyRotator(input);
+  // Shared so robots.txt is fetched once per host and the per-host delay spans the whole crawl.
+  const robots = createRobotsChecker(input);
+  const domainLimiter = createDomainLimiter(input);
+  // Time and memory caps for the whole crawl; pages stop being taken from the queue past them.
+  const budget = createRunBudget(input);
+  let budgetExceeded = null;
+
+  console.log('[INFO] Crawl started:', { seeds, maxDepth, maxPages });
+
+  try {
+    while (queue.length > 0 && stats.pagesProcessed < maxPages) {
+      // Checked only when another page would start, so the summary never reports an unused budget.
+      budgetExceeded = budget.exceeded();
+      if (budgetExceeded) break;
+      const { url, depth, parentUrl } = queue.shift();
+
+      // Disallowed links are skipped quietly instead of using up the page budget.
+      if (robots && depth > 0) {
+        const verdict = await robots.check(url, { proxy: proxyRotator?.getProxy(url) });
+        if (!verdict.allowed) {
+          stats.pagesDisallowed++;
+          continue;
+        }
+      }
+      stats.pagesProcessed++;
+
+      let record;
+      try {
+        const output = await scrapeAndSummarize(
+          { ...input, url },
+          {
+            sharedBrowser,
+            proxyRotator,
+            sessionStore,
+            snapshotStore,
+            cache,
+            captureStore,
+            robots,
+            domainLimiter,
+            cookieUrl: seeds[0]
+          }
+        );
+        record = { ...output, depth, parentUrl };
+        stats.pagesSucceeded++;
+        if (output.change?.changed) stats.pagesChanged++;
+
+        const finalUrl = normalizeUrl(output.url);
+        if (finalUrl) seen.add(finalUrl);
+
+        if (depth < maxDepth) {
+          for (const link of output.links || []) {
+            const next = normalizeUrl(link?.url, output.url);
+            if (!next || seen.has(next) || !inScope(next)) continue;
+            seen.add(next);
+            queue.push({ url: next, depth: depth + 1, parentUrl: output.url });
+          }
+        }
+      } catch (err) {
+        console.error('[ERROR] Crawl page failed:', { url, error: err?.message });
+        stats.pagesFailed++;
+        record = { ...toFailureRecord(url, err), depth, parentUrl };
+      }
+
+      if (onPage) await onPage(record);
+    }
+  } finally {
+    await sharedBrowser.close();
+  }
+
+  const summary = {
+    mode: 'crawl',
+    startUrls: seeds,
+    maxDepth,
+    maxPages,
+    ...stats,
+    ...(budgetExceeded ? { budgetExceeded } : {}),
+    urlsDiscovered: seen.size,
+    urlsLeftInQueue: queue.length,
+    finishedAt: new Date().toISOString()
+  };
+
+  console.log('[INFO] Crawl finished:', summary);
+  return summary;
+}
@@ -0,0 +1,398 @@
+import * as cheerio from 'cheerio';
+import mammoth from 'mammoth';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+// Responses that aren't HTML: PDF, DOCX, JSON, RSS/Atom feeds and plain text. Each is mapped into
+// the same shape as an HTML page (title, description, paragraphs, links, Markdown `mainContent`),
+// so monitoring, exports and the AI summary work unchanged. Kind-specific data goes in `document`.
+
+const MAX_LINKS = 50;
+const MAX_FEED_ITEMS = 200;
+const MAX_PDF_PAGES = 500;
+const MIN_PARAGRAPH_LENGTH = 30;
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+function unsupportedContent(contentType) {
+  const err = new Error('UNSUPPORTED_CONTENT_TYPE');
+  err.contentType = contentType || null;
+  return err;
+}
+
+function mediaType(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+// Decodes with the charset from Content-Type; unknown labels fall back to UTF-8.
+export function decodeBody(body, contentType) {
+  const charset = String(contentType || '').match(/charset=["']?([\w-]+)/i)?.[1];
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(body);
+  } catch {
+    return new TextDecoder('utf-8').decode(body);
+  }
+}
+
+function looksLikeFeed(head) {
+  return /^\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*<(?:rss|feed|rdf:RDF)\b/i.test(head);
+}
+
+/**
+ * Picks a parser from the Content-Type header, checked against the first bytes (servers often
+ * send PDFs as octet-stream and feeds as text/xml). Returns html, pdf, docx, json, feed, text
+ * or unsupported.
+ */
+export function sniffContentKind(contentType, body, url) {
+  const type = mediaType(contentType);
+  const head = body.subarray(0, 1024).toString('utf8').replace(/^\uFEFF/, '');
+  const trimmed = head.trimStart();
+  const path = (() => {
+    try {
+      return new URL(url).pathname.toLowerCase();
+    } catch {
+      return '';
+    }
+  })();
+
+  if (head.startsWith('%PDF-') || type === 'application/pdf') return 'pdf';
+  const isZip = body[0] === 0x50 && body[1] === 0x4b;
+  if (type === DOCX_TYPE || (isZip && path.endsWith('.docx'))) return 'docx';
+  if (type === 'application/json' || type.endsWith('+json')) return 'json';
+  if (type === 'application/rss+xml' || type === 'application/atom+xml' || type === 'application/rdf+xml') {
+    return 'feed';
+  }
+  if (/^(?:text|application)\/xml$/.test(type)) {
+    if (looksLikeFeed(head)) return 'feed';
+    return /<html\b/i.test(head) ? 'html' : 'text';
+  }
+  if (/^text\/(?:plain|markdown|csv|x-markdown)$/.test(type)) {
+    return /^<(?:!doctype html|html)\b/i.test(trimmed) ? 'html' : 'text';
+  }
+  if (!type || type === 'text/html' || type === 'application/xhtml+xml') {
+    // Without a Content-Type, JSON and feeds give themselves away in the first bytes.
+    if (!type && /^[[{]/.test(trimmed)) return 'json';
+    if (!type && looksLikeFeed(head)) return 'feed';
+    return 'html';
+  }
+  if (type.startsWith('text/')) return 'text';
+  return 'unsupported';
+}
+
+function countWords(text) {
+  return (String(text).match(/\S+/g) || []).length;
+}
+
+function nameFromUrl(url) {
+  try {
+    const last = new URL(url).pathname.split('/').filter(Boolean).pop();
+    return last ? decodeURIComponent(last) : new URL(url).hostname;
+  } catch {
+    return url;
+  }
+}
+
+function linksInText(text, url, maxLinks = MAX_LINKS) {
+  const seen = new Set();
+  const links = [];
+  for (const match of String(text).matchAll(/https?:\/\/[^\s"'<>()\]]+/g)) {
+    const href = match[0].replace(/[.,;:!?]+$/, '');
+    if (seen.has(href)) continue;
+    seen.add(href);
+    try {
+      links.push({ url: new URL(href, url).href, text: href });
+    } catch {
+      // Not a URL after all.
+    }
+    if (links.length >= maxLinks) break;
+  }
+  return links;
+}
+
+function splitParagraphs(text) {
+  return String(text)
+    .split(/\n\s*\n/)
+    .map((block) => block.replace(/\s*\n\s*/g, ' ').trim())
+    .filter(Boolean);
+}
+
+// Fields every result has, so downstream code never needs to check the kind. Short paragraphs are
+// dropped like on HTML pages, except where every entry is content (feed items).
+function documentResult({
+  kind,
+  title,
+  description,
+  paragraphs,
+  minParagraphLength = MIN_PARAGRAPH_LENGTH,
+  links = [],
+  maxLinks = MAX_LINKS,
+  lists = [],
+  markdown,
+  outline,
+  ...rest
+}) {
+  const mainContent = String(markdown || '').trim();
+  return {
+    title: title || 'No title found',
+    description: description || paragraphs[0]?.slice(0, 160) || '',
+    paragraphs: paragraphs.filter((p) => p.length > minParagraphLength),
+    images: [],
+    links: links.slice(0, maxLinks),
+    tables: [],
+    lists,
+    uniqueComponents: [],
+    mainContent,
+    byline: rest.byline ?? null,
+    publishedAt: rest.publishedAt ?? null,
+    wordCount: countWords(mainContent),
+    contentType: kind,
+    document: rest.document,
+    _bodyTextLength: mainContent.length,
+    _outline: outline || paragraphs.map((text) => ({ type: 'paragraph', text }))
+  };
+}
+
+// PDF dates look like `D:20240131120000+01'00'`.
+function parsePdfDate(value) {
+  const m = String(value || '').match(/^D?:?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Z+-])?(\d{2})?'?(\d{2})?/);
+  if (!m) return null;
+  const [, y, mo = '01', d = '01', h = '00', mi = '00', s = '00', sign, oh = '00', om = '00'] = m;
+  const offset = !sign || sign === 'Z' ? 'Z' : `${sign}${oh}:${om}`;
+  const date = new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}${offset}`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+async function extractPdf(body, url, maxLinks) {
+  const pdf = await getDocument({
+    data: new Uint8Array(body),
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const { info = {} } = await pdf.getMetadata().catch(() => ({}));
+    const pageCount = pdf.numPages;
+    const pages = [];
+    const links = [];
+
+    for (let n = 1; n <= Math.min(pageCount, MAX_PDF_PAGES); n++) {
+      const page = await pdf.getPage(n);
+      const content = await page.getTextContent();
+      // Lines end where pdf.js says so; a vertical jump bigger than a line means a new paragraph.
+      let text = '';
+      let lastY = null;
+      for (const item of content.items) {
+        if (!('str' in item)) continue;
+        const y = item.transform?.[5];
+        if (lastY !== null && y !== undefined && Math.abs(lastY - y) > (item.height || 12) * 1.8) text += '\n';
+        text += item.str + (item.hasEOL ? '\n' : '');
+        if (y !== undefined) lastY = y;
+      }
+      pages.push(text.trim());
+
+      for (const annotation of await page.getAnnotations().catch(() => [])) {
+        if (annotation.subtype === 'Link' && annotation.url && links.length < maxLinks) {
+          links.push({ url: annotation.url, text: annotation.url });
+        }
+      }
+      page.cleanup();
+    }
+
+    const metadata = {
+      title: info.Title || null,
+      author: info.Author || null,
+      subject: info.Subject || null,
+      keywords: info.Keywords || null,
+      creator: info.Creator || null,
+      producer: info.Producer || null,
+      createdAt: parsePdfDate(info.CreationDate),
+      modifiedAt: parsePdfDate(info.ModDate)
+    };
+    const paragraphs = pages.flatMap(splitParagraphs);
+    const firstLine = pages.find(Boolean)?.split('\n')[0]?.trim();
+
+    return documentResult({
+      kind: 'pdf',
+      title: metadata.title || firstLine || nameFromUrl(url),
+      description: metadata.subject,
+      paragraphs,
+      links: links.length ? links : linksInText(pages.join('\n'), url, maxLinks),
+      maxLinks,
+      markdown: pages.map((text, i) => (text ? `## Page ${i + 1}\n\n${splitParagraphs(text).join('\n\n')}` : '')).join('\n\n'),
+      outline: pages.flatMap((text, i) => [
+        { type: 'heading', level: 2, text: `Page ${i + 1}` },
+        ...splitParagraphs(text).map((p) => ({ type: 'paragraph', text: p }))
+      ]),
+      byline: metadata.author,
+      publishedAt: metadata.createdAt,
+      document: {
+        pages: pageCount,
+        ...(pageCount > MAX_PDF_PAGES ? { pagesExtracted: MAX_PDF_PAGES } : {}),
+        metadata,
+        // Scanned PDFs are images of text; nothing to extract without OCR.
+        ...(pages.every((p) => !p) ? { note: 'No text layer found (scanned PDF?).' } : {})
+      }
+    });
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+// DOCX goes through HTML so headings, lists and tables come out like any other page.
+async function extractDocx(body, url, extractHtml) {
+  const { value: html, messages } = await mammoth.convertToHtml({ buffer: body });
+  const $ = cheerio.load(html);
+  const headings = $('h1, h2, h3, h4, h5, h6')
+    .map((_, el) => ({ level: Number(el.tagName.slice(1)), text: $(el).text().trim() }))
+    .get()
+    .filter((h) => h.text);
+  const extracted = extractHtml(`<html><body>${html}</body></html>`);
+  const { rawHtml, techStack, structuredData, ...rest } = extracted;
+  return {
+    ...rest,
+    title: headings[0]?.text || nameFromUrl(url),
+    contentType: 'docx',
+    document: {
+      headings,
+      ...(messages.length ? { warnings: messages.map((m) => m.message).slice(0, 20) } : {})
+    }
+  };
+}
+
+function extractJson(body, url, contentType, maxLinks) {
+  const text = decodeBody(body, contentType);
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // Served as JSON but isn't; still worth returning as text.
+    return extractText(text, url, maxLinks);
+  }
+  const pretty = JSON.stringify(data, null, 2);
+  const title = data && typeof data === 'object' && !Array.isArray(data) ? data.title || data.name : null;
+  return documentResult({
+    kind: 'json',
+    title: typeof title === 'string' ? title : nameFromUrl(url),
+    description: typeof data?.description === 'string' ? data.description : '',
+    paragraphs: [],
+    links: linksInText(text, url, maxLinks),
+    maxLinks,
+    markdown: `\`\`\`json\n${pretty}\n\`\`\``,
+    outline: [{ type: 'paragraph', text: pretty }],
+    document: { data }
+  });
+}
+
+function extractText(text, url, maxLinks) {
+  const paragraphs = splitParagraphs(text);
+  return documentResult({
+    kind: 'text',
+    title: paragraphs[0]?.slice(0, 120) || nameFromUrl(url),
+    paragraphs,
+    links: linksInText(text, url, maxLinks),
+    maxLinks,
+    markdown: text,
+    document: { lines: String(text).split('\n').length }
+  });
+}
+
+function isoDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? value : new Date(time).toISOString();
+}
+
+function stripHtml(value) {
+  return cheerio.load(`<div>${value || ''}</div>`)('div').text().replace(/\s+/g, ' ').trim();
+}
+
+function extractFeed(body, url, contentType, maxLinks) {
+  const $ = cheerio.load(decodeBody(body, contentType), { xmlMode: true });
+  const text = (el, selector) => $(el).children(selector).first().text().trim();
+  const resolve = (href) => {
+    try {
+      return href ? new URL(href, url).href : null;
+    } catch {
+      return href || null;
+    }
+  };
+
+  const isAtom = $('feed').length > 0;
+  let feed;
+  let items;
+  if (isAtom) {
+    const root = $('feed').first();
+    feed = { title: text(root, 'title'), description: text(root, 'subtitle') };
+    items = root
+      .children('entry')
+      .toArray()
+      .map((el) => {
+        const link =
+          $(el).children('link[rel="alternate"]').attr('href') || $(el).children('link').first().attr('href');
+        return {
+          title: stripHtml(text(el, 'title')),
+          link: resolve(link),
+          date: isoDate(text(el, 'published') || text(el, 'updated')),
+          summary: stripHtml(text(el, 'summary') || text(el, 'content')).slice(0, 1000),
+          author: $(el).children('author').children('name').first().text().trim() || null
+        };
+      });
+  } else {
+    // RSS 2.0 keeps items inside <channel>; RSS 1.0 (RDF) puts them next to it.
+    const channel = $('channel').first();
+    feed = { title: text(channel, 'title'), description: stripHtml(text(channel, 'description')) };
+    items = $('item')
+      .toArray()
+      .map((el) => ({
+        title: stripHtml(text(el, 'title')),
+        link: resolve(text(el, 'link') || text(el, 'guid')),
+        date: isoDate(text(el, 'pubDate') || text(el, 'dc\\:date')),
+        summary: stripHtml(text(el, 'description') || text(el, 'content\\:encoded')).slice(0, 1000),
+        author: text(el, 'author') || text(el, 'dc\\:creator') || null
+      }));
+  }
+  items = items.slice(0, MAX_FEED_ITEMS);
+
+  return documentResult({
+    kind: 'feed',
+    title: feed.title || nameFromUrl(url),
+    description: feed.description,
+    paragraphs: items.map((item) => [item.title, item.summary].filter(Boolean).join(': ')),
+    minParagraphLength: 0,
+    links: items.filter((item) => item.link).map((item) => ({ url: item.link, text: item.title || item.link })),
+    maxLinks,
+    lists: items.length
+      ? [{ type: 'ul', items: items.map((item) => item.title || item.link), itemCount: items.length }]
+      : [],
+    markdown: items
+      .map((item) =>
+        [`## ${item.title || item.link || 'Untitled'}`, [item.date, item.author, item.link].filter(Boolean).join(' · '), item.summary]
+          .filter(Boolean)
+          .join('\n\n')
+      )
+      .join('\n\n'),
+    document: { feedType: isAtom ? 'atom' : 'rss', items }
+  });
+}
+
+/**
+ * Extracts a non-HTML response. `extractHtml(html)` is the regular HTML extractor, reused for
+ * formats that convert to HTML (DOCX).
+ */
+export async function extractDocument(kind, body, url, { contentType, extractHtml, maxLinks = MAX_LINKS }) {
+  switch (kind) {
+    case 'pdf':
+      return extractPdf(body, url, maxLinks);
+    case 'docx':
+      return extractDocx(body, url, extractHtml);
+    case 'json':
+      return extractJson(body, url, contentType, maxLinks);
+    case 'feed':
+      return extractFeed(body, url, contentType, maxLinks);
+    case 'text':
+      return extractText(decodeBody(body, contentType), url, maxLinks);
+    default:
+      throw unsupportedContent(contentType);
+  }
+}
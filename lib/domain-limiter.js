@@ -0,0 +1,60 @@
+// Keeps concurrent work polite per host: at most `maxConcurrency` pages at a time and at least
+// `minDelayMs` between two page starts (raised per host by robots.txt `Crawl-delay`).
+
+const DEFAULT_MIN_DELAY_MS = 500;
+const DEFAULT_MAX_CONCURRENCY = 2;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function nonNegativeIntOr(value, fallback) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+export function createDomainLimiter(input) {
+  const minDelayMs = nonNegativeIntOr(input?.domainMinDelayMs, DEFAULT_MIN_DELAY_MS);
+  const maxConcurrency = Math.max(1, nonNegativeIntOr(input?.domainMaxConcurrency, DEFAULT_MAX_CONCURRENCY));
+  const hosts = new Map();
+
+  const stateFor = (host) => {
+    let state = hosts.get(host);
+    if (!state) {
+      state = { active: 0, nextStartAt: 0, waiters: [] };
+      hosts.set(host, state);
+    }
+    return state;
+  };
+
+  async function acquire(host, extraDelayMs) {
+    const state = stateFor(host);
+    for (;;) {
+      if (state.active >= maxConcurrency) {
+        await new Promise((resolve) => state.waiters.push(resolve));
+        continue;
+      }
+      const wait = state.nextStartAt - Date.now();
+      if (wait > 0) {
+        await delay(wait);
+        continue;
+      }
+      state.active++;
+      state.nextStartAt = Date.now() + Math.max(minDelayMs, extraDelayMs);
+      return () => {
+        state.active--;
+        state.waiters.shift()?.();
+      };
+    }
+  }
+
+  return {
+    // Runs `task` once the host has a free slot.
+    async run(url, task, { crawlDelayMs = 0 } = {}) {
+      const release = await acquire(new URL(url).hostname, crawlDelayMs);
+      try {
+        return await task();
+      } finally {
+        release();
+      }
+    }
+  };
+}
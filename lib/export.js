@@ -0,0 +1,203 @@
+import { jsPDF } from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import ExcelJS from 'exceljs';
+
+export const EXPORT_FORMATS = ['pdf', 'markdown', 'csv', 'xlsx'];
+
+const PDF_MARGIN = 14;
+const PDF_MAX_PARAGRAPHS = 60;
+
+function invalidExportFormats(message) {
+  const err = new Error('INVALID_EXPORT_FORMATS');
+  err.statusCode = 400;
+  err.publicPayload = { error: 'Invalid input', errorType: 'INVALID_EXPORT_FORMATS', message };
+  return err;
+}
+
+export function normalizeExportFormats(raw) {
+  if (!raw) return [];
+  const list = (Array.isArray(raw) ? raw : [raw]).map((f) => String(f).trim().toLowerCase()).map((f) =>
+    f === 'md' ? 'markdown' : f
+  );
+  const unknown = list.filter((f) => !EXPORT_FORMATS.includes(f));
+  if (unknown.length) {
+    throw invalidExportFormats(`Unknown export format(s): ${unknown.join(', ')}. Use: ${EXPORT_FORMATS.join(', ')}.`);
+  }
+  return [...new Set(list)];
+}
+
+function tableColumns(table) {
+  const width = Math.max(table.headers?.length || 0, ...(table.rows || []).map((r) => r.length), 0);
+  return Array.from({ length: width }, (_, i) => table.headers?.[i] || `Column ${i + 1}`);
+}
+
+function padRow(row, width) {
+  return Array.from({ length: width }, (_, i) => row[i] ?? '');
+}
+
+function escapeCsvCell(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function tableToCsv(table) {
+  const columns = tableColumns(table);
+  const lines = [columns, ...(table.rows || []).map((r) => padRow(r, columns.length))];
+  return lines.map((row) => row.map(escapeCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeMarkdownCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+}
+
+function tableToMarkdown(table) {
+  const columns = tableColumns(table);
+  if (columns.length === 0) return '';
+  const lines = [
+    `| ${columns.map(escapeMarkdownCell).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...(table.rows || []).map((r) => `| ${padRow(r, columns.length).map(escapeMarkdownCell).join(' | ')} |`)
+  ];
+  return lines.join('\n');
+}
+
+export function renderMarkdown(record) {
+  const out = [`# ${record.title || record.url}`, '', `Source: <${record.url}>  `, `Scraped: ${record.scrapedAt}`];
+
+  if (record.description) out.push('', `> ${record.description}`);
+  if (record.summary) out.push('', '## Summary', '', String(record.summary).trim());
+  if (record.mainContent) out.push('', '## Content', '', record.mainContent);
+  else if (record.paragraphs?.length) out.push('', '## Content', '', record.paragraphs.join('\n\n'));
+
+  if (record.tables?.length) {
+    out.push('', '## Tables');
+    record.tables.forEach((table, i) => {
+      out.push('', `### Table ${i + 1}${table.caption ? `: ${table.caption}` : ''}`, '', tableToMarkdown(table));
+    });
+  }
+
+  if (record.lists?.length) {
+    out.push('', '## Lists');
+    record.lists.forEach((list, i) => {
+      out.push('', `### List ${i + 1}`, '');
+      list.items.forEach((item, k) => out.push(list.type === 'ol' ? `${k + 1}. ${item}` : `- ${item}`));
+    });
+  }
+
+  return out.join('\n') + '\n';
+}
+
+export function renderPdf(record) {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const textWidth = pageWidth - PDF_MARGIN * 2;
+  let y = PDF_MARGIN + 4;
+
+  const write = (text, { size = 10, style = 'normal', gap = 2 } = {}) => {
+    doc.setFont('helvetica', style);
+    doc.setFontSize(size);
+    const lineHeight = size * 0.45;
+    for (const line of doc.splitTextToSize(String(text ?? ''), textWidth)) {
+      if (y + lineHeight > pageHeight - PDF_MARGIN) {
+        doc.addPage();
+        y = PDF_MARGIN + 4;
+      }
+      doc.text(line, PDF_MARGIN, y);
+      y += lineHeight;
+    }
+    y += gap;
+  };
+
+  write(record.title || record.url, { size: 18, style: 'bold', gap: 3 });
+  write(`${record.url}\nScraped ${record.scrapedAt}`, { size: 9, gap: 6 });
+
+  if (record.summary) {
+    write('Summary', { size: 14, style: 'bold' });
+    write(record.summary, { gap: 6 });
+  }
+  if (record.description) {
+    write('Description', { size: 14, style: 'bold' });
+    write(record.description, { gap: 6 });
+  }
+  if (record.paragraphs?.length) {
+    write('Content', { size: 14, style: 'bold' });
+    for (const p of record.paragraphs.slice(0, PDF_MAX_PARAGRAPHS)) write(p, { gap: 3 });
+    if (record.paragraphs.length > PDF_MAX_PARAGRAPHS) {
+      write(`… ${record.paragraphs.length - PDF_MAX_PARAGRAPHS} more paragraphs in the dataset item.`, {
+        style: 'italic',
+        gap: 6
+      });
+    }
+  }
+
+  (record.tables || []).forEach((table, i) => {
+    write(`Table ${i + 1}${table.caption ? `: ${table.caption}` : ''}`, { size: 12, style: 'bold' });
+    const columns = tableColumns(table);
+    autoTable(doc, {
+      startY: y,
+      head: [columns],
+      body: (table.rows || []).map((r) => padRow(r, columns.length)),
+      margin: { left: PDF_MARGIN, right: PDF_MARGIN },
+      styles: { fontSize: 8, overflow: 'linebreak' },
+      headStyles: { fillColor: [60, 60, 60] }
+    });
+    y = doc.lastAutoTable.finalY + 8;
+  });
+
+  return Buffer.from(doc.output('arraybuffer'));
+}
+
+export async function renderXlsx(record) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date(record.scrapedAt || Date.now());
+
+  record.tables.forEach((table, i) => {
+    // Sheet names: max 31 chars, no []:*?/\
+    const name = `${i + 1} ${table.caption || 'Table'}`.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+    const sheet = workbook.addWorksheet(name);
+    const columns = tableColumns(table);
+    sheet.addRow(columns).font = { bold: true };
+    for (const row of table.rows || []) sheet.addRow(padRow(row, columns.length));
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Returns one entry per file to store; keys are relative and get prefixed by the caller.
+export async function renderExports(record, formats) {
+  const files = [];
+  const hasTables = Array.isArray(record.tables) && record.tables.length > 0;
+
+  if (formats.includes('pdf')) {
+    files.push({ format: 'pdf', key: 'report.pdf', contentType: 'application/pdf', body: renderPdf(record) });
+  }
+  if (formats.includes('markdown')) {
+    files.push({
+      format: 'markdown',
+      key: 'page.md',
+      contentType: 'text/markdown; charset=utf-8',
+      body: renderMarkdown(record)
+    });
+  }
+  if (formats.includes('csv') && hasTables) {
+    record.tables.forEach((table, i) => {
+      files.push({
+        format: 'csv',
+        key: `table-${i + 1}.csv`,
+        contentType: 'text/csv; charset=utf-8',
+        body: tableToCsv(table)
+      });
+    });
+  }
+  if (formats.includes('xlsx') && hasTables) {
+    files.push({
+      format: 'xlsx',
+      key: 'tables.xlsx',
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      body: await renderXlsx(record)
+    });
+  }
+
+  return files;
+}
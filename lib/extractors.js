@@ -0,0 +1,170 @@
+import { DOMParser, XMLSerializer } from '@xmldom/xmldom';
+import xpath from 'xpath';
+
+const VALUE_TYPES = new Set(['text', 'number', 'date', 'url', 'raw']);
+
+function invalidExtractors(message) {
+  const err = new Error('INVALID_EXTRACTORS');
+  err.statusCode = 400;
+  err.publicPayload = { error: 'Invalid input', errorType: 'INVALID_EXTRACTORS', message };
+  return err;
+}
+
+function normalizeText(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/\s+/g, ' ').trim();
+}
+
+// Accepts either an array of field specs or an object map of `name -> spec | selector`.
+export function normalizeExtractors(raw) {
+  if (!raw) return [];
+  if (typeof raw !== 'object') throw invalidExtractors('`extractors` must be an array or an object.');
+
+  const entries = Array.isArray(raw)
+    ? raw
+    : Object.entries(raw).map(([name, spec]) =>
+        typeof spec === 'string' ? { name, selector: spec } : { ...spec, name }
+      );
+
+  return entries.map((spec, i) => {
+    const name = normalizeText(spec?.name);
+    const selector = normalizeText(spec?.selector);
+    const xpathExpr = normalizeText(spec?.xpath);
+    const type = normalizeText(spec?.type || 'text').toLowerCase();
+
+    if (!name) throw invalidExtractors(`Extractor #${i + 1} is missing a \`name\`.`);
+    if (!selector && !xpathExpr) {
+      throw invalidExtractors(`Extractor "${name}" needs a \`selector\` (CSS) or an \`xpath\`.`);
+    }
+    if (!VALUE_TYPES.has(type)) {
+      throw invalidExtractors(
+        `Extractor "${name}" has unknown type "${type}". Use one of: ${[...VALUE_TYPES].join(', ')}.`
+      );
+    }
+
+    return {
+      name,
+      selector: selector || null,
+      xpath: selector ? null : xpathExpr,
+      attribute: normalizeText(spec?.attribute) || 'text',
+      multiple: Boolean(spec?.multiple),
+      type
+    };
+  });
+}
+
+function parseNumber(value) {
+  const cleaned = String(value).replace(/[^\d.,-]/g, '');
+  if (!/\d/.test(cleaned)) return null;
+
+  const lastComma = cleaned.lastIndexOf(',');
+  const lastDot = cleaned.lastIndexOf('.');
+  let canonical;
+  if (lastComma > lastDot) {
+    // "1.234,56" or "12,5" use a decimal comma; "1,234" is a thousands separator.
+    const decimals = cleaned.length - lastComma - 1;
+    canonical = lastDot !== -1 || decimals !== 3
+      ? cleaned.replace(/\./g, '').replace(',', '.')
+      : cleaned.replace(/,/g, '');
+  } else {
+    canonical = cleaned.replace(/,/g, '');
+  }
+
+  const n = Number.parseFloat(canonical);
+  return Number.isFinite(n) ? n : null;
+}
+
+function postProcess(value, type, pageUrl) {
+  if (value === null || value === undefined) return null;
+  if (type === 'raw') return value;
+
+  const text = normalizeText(value);
+  if (!text) return null;
+
+  switch (type) {
+    case 'number':
+      return parseNumber(text);
+    case 'date': {
+      const ts = Date.parse(text);
+      return Number.isNaN(ts) ? null : new Date(ts).toISOString();
+    }
+    case 'url':
+      try {
+        return new URL(text, pageUrl).href;
+      } catch {
+        return null;
+      }
+    default:
+      return text;
+  }
+}
+
+function readCheerioValue($, el, attribute) {
+  if (attribute === 'text') return $(el).text();
+  if (attribute === 'html') return $(el).html();
+  if (attribute === 'outerHtml') return $.html(el);
+  return $(el).attr(attribute) ?? null;
+}
+
+function readXPathValue(node, attribute) {
+  if (node === null || typeof node !== 'object') return node;
+  // Attribute and text nodes carry their value directly.
+  if (node.nodeType === 2 || node.nodeType === 3 || node.nodeType === 4) return node.nodeValue;
+  if (attribute === 'text') return node.textContent;
+  if (attribute === 'html' || attribute === 'outerHtml') {
+    const serializer = new XMLSerializer();
+    if (attribute === 'outerHtml') return serializer.serializeToString(node);
+    return Array.from(node.childNodes || [])
+      .map((child) => serializer.serializeToString(child))
+      .join('');
+  }
+  return node.getAttribute?.(attribute) ?? null;
+}
+
+// XPath needs a W3C-style DOM; cheerio's XML serialization is well-formed enough for xmldom.
+// Default namespaces (`<html xmlns="http://www.w3.org/1999/xhtml">`, inline SVG) are left out while
+// serializing: in a namespaced XML DOM, unprefixed XPath like `//span` would match nothing.
+function buildXPathDocument($) {
+  const declared = $('[xmlns]')
+    .toArray()
+    .map((el) => [el, el.attribs.xmlns]);
+  for (const [el] of declared) delete el.attribs.xmlns;
+  try {
+    return new DOMParser({ onError: () => {} }).parseFromString($.xml(), 'text/xml');
+  } finally {
+    for (const [el, ns] of declared) el.attribs.xmlns = ns;
+  }
+}
+
+export function runExtractors($, extractors, pageUrl) {
+  const custom = {};
+  let xpathDoc;
+
+  for (const field of extractors) {
+    try {
+      let values;
+      if (field.selector) {
+        values = $(field.selector)
+          .toArray()
+          .map((el) => readCheerioValue($, el, field.attribute));
+      } else {
+        if (xpathDoc === undefined) xpathDoc = buildXPathDocument($);
+        const result = xpath.select(field.xpath, xpathDoc);
+        values = (Array.isArray(result) ? result : [result]).map((node) =>
+          readXPathValue(node, field.attribute)
+        );
+      }
+
+      const processed = values
+        .map((v) => postProcess(v, field.type, pageUrl))
+        .filter((v) => v !== null && v !== '');
+
+      custom[field.name] = field.multiple ? processed : processed[0] ?? null;
+    } catch (err) {
+      console.error('[ERROR] Custom extractor failed:', { field: field.name, error: err?.message });
+      custom[field.name] = field.multiple ? [] : null;
+    }
+  }
+
+  return custom;
+}
@@ -0,0 +1,117 @@
+import * as cheerio from 'cheerio';
+
+// Decides whether a fetched page is usable or the scrape should move on (HTTP → browser, or one
+// more browser attempt). Every check that fails leaves a human-readable reason for the trace.
+
+const MODES = new Set(['auto', 'http', 'browser']);
+
+const DEFAULT_THRESHOLDS = {
+  minTextLength: 120,
+  thinTextLength: 200,
+  minParagraphs: 2,
+  minLinks: 4
+};
+
+// Each marker is a list of phrases that must all appear (case-insensitive) in the HTML.
+const DEFAULT_BLOCK_MARKERS = [
+  ['enable javascript'],
+  ['please enable cookies'],
+  ['attention required', 'cloudflare'],
+  ['cf-chl'],
+  ['challenge-platform'],
+  ['access denied']
+];
+
+const DEFAULT_SELECTOR_TIMEOUT_MS = 8000;
+
+function invalidFallbackInput(errorType, message) {
+  const err = new Error(errorType);
+  err.statusCode = 400;
+  err.publicPayload = { error: 'Invalid input', errorType, message };
+  return err;
+}
+
+function nonNegativeIntOr(value, fallback) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+export function normalizeScrapePolicy(input = {}) {
+  const mode = String(input.mode || 'auto').toLowerCase();
+  if (!MODES.has(mode)) {
+    throw invalidFallbackInput('INVALID_MODE', `mode must be one of: ${[...MODES].join(', ')}.`);
+  }
+
+  const custom = (Array.isArray(input.blockMarkers) ? input.blockMarkers : [])
+    .map((marker) => String(marker || '').trim().toLowerCase())
+    .filter(Boolean)
+    .map((marker) => [marker]);
+  const blockMarkers = [...(input.useDefaultBlockMarkers === false ? [] : DEFAULT_BLOCK_MARKERS), ...custom];
+
+  const waitForSelector = String(input.waitForSelector || '').trim() || null;
+  if (waitForSelector) {
+    try {
+      cheerio.load('')(waitForSelector);
+    } catch {
+      throw invalidFallbackInput('INVALID_SELECTOR', `waitForSelector is not a valid CSS selector: ${waitForSelector}`);
+    }
+  }
+
+  return {
+    mode,
+    thresholds: {
+      minTextLength: nonNegativeIntOr(input.fallbackMinTextLength, DEFAULT_THRESHOLDS.minTextLength),
+      thinTextLength: nonNegativeIntOr(input.fallbackThinTextLength, DEFAULT_THRESHOLDS.thinTextLength),
+      minParagraphs: nonNegativeIntOr(input.fallbackMinParagraphs, DEFAULT_THRESHOLDS.minParagraphs),
+      minLinks: nonNegativeIntOr(input.fallbackMinLinks, DEFAULT_THRESHOLDS.minLinks)
+    },
+    blockMarkers,
+    waitForSelector,
+    waitForSelectorTimeoutMs: nonNegativeIntOr(input.waitForSelectorTimeoutMs, DEFAULT_SELECTOR_TIMEOUT_MS)
+  };
+}
+
+function blockReasons(html, policy) {
+  const lower = (html || '').toLowerCase();
+  return policy.blockMarkers
+    .filter((phrases) => phrases.every((phrase) => lower.includes(phrase)))
+    .map((phrases) => `block marker "${phrases.join('" + "')}" found`);
+}
+
+/**
+ * Returns `{ ok, reasons }`. With `waitForSelector` set, the selector being present replaces the
+ * text/paragraph/link thresholds; block markers apply either way. `requireContent` adds the
+ * "extraction came out empty" thresholds, which only the browser path has the time to wait out.
+ * `selectorFound` lets the browser answer from the live DOM instead of re-parsing the HTML.
+ */
+export function checkPage(html, extracted, policy, { requireContent = false, selectorFound } = {}) {
+  const reasons = blockReasons(html, policy);
+  const { minTextLength, thinTextLength, minParagraphs, minLinks } = policy.thresholds;
+
+  if (policy.waitForSelector) {
+    const found = selectorFound ?? cheerio.load(html || '')(policy.waitForSelector).length > 0;
+    if (!found) reasons.push(`selector "${policy.waitForSelector}" not found`);
+    return { ok: reasons.length === 0, reasons };
+  }
+
+  const textLength = extracted?._bodyTextLength ?? 0;
+  const paragraphs = extracted?.paragraphs?.length || 0;
+  const links = extracted?.links?.length || 0;
+
+  if (textLength < minTextLength) {
+    reasons.push(`body text is ${textLength} chars (minimum ${minTextLength})`);
+  }
+  if (requireContent) {
+    if (textLength < thinTextLength && paragraphs < minParagraphs) {
+      reasons.push(
+        `thin page: ${textLength} chars of text (under ${thinTextLength}) and ${paragraphs} paragraphs (minimum ${minParagraphs})`
+      );
+    }
+    // Many bot walls return a couple of generic links and nothing else.
+    if (paragraphs === 0 && links < minLinks) {
+      reasons.push(`no paragraphs and ${links} links (minimum ${minLinks})`);
+    }
+  }
+
+  return { ok: reasons.length === 0, reasons };
+}
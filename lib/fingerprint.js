@@ -0,0 +1,203 @@
+import { readFileSync } from 'node:fs';
+
+// Rule-based technology detection. Rules live in fingerprints.json; every match records the
+// evidence it came from, and independent pieces of evidence add up to a confidence score.
+
+// How much a single match of each kind proves on its own.
+const EVIDENCE_WEIGHTS = {
+  meta: 1,
+  header: 0.9,
+  js: 0.9,
+  scriptSrc: 0.8,
+  cookie: 0.7,
+  dom: 0.6,
+  url: 0.6
+};
+const MAX_EVIDENCE_VALUE = 120;
+
+const { technologies: RULES } = JSON.parse(readFileSync(new URL('./fingerprints.json', import.meta.url), 'utf8'));
+
+const toRegExp = (pattern) => new RegExp(pattern || '', 'i');
+
+const COMPILED = Object.entries(RULES).map(([name, rule]) => ({
+  name,
+  category: rule.category,
+  icon: rule.icon || name,
+  implies: rule.implies || [],
+  headers: Object.entries(rule.headers || {}).map(([header, pattern]) => [header.toLowerCase(), toRegExp(pattern)]),
+  cookies: (rule.cookies || []).map(toRegExp),
+  meta: Object.entries(rule.meta || {}).map(([metaName, pattern]) => [metaName.toLowerCase(), toRegExp(pattern)]),
+  scriptSrc: (rule.scriptSrc || []).map(toRegExp),
+  js: Object.entries(rule.js || {}).map(([path, pattern]) => [path, toRegExp(pattern)]),
+  dom: (rule.dom || []).map((entry) =>
+    typeof entry === 'string'
+      ? { selector: entry }
+      : { selector: entry.selector, attribute: entry.attribute, pattern: toRegExp(entry.pattern) }
+  ),
+  url: (rule.url || []).map(toRegExp)
+}));
+
+// Window paths the browser path should read, e.g. `React.version` or `__NEXT_DATA__`.
+const FINGERPRINT_JS_PATHS = [...new Set(COMPILED.flatMap((t) => t.js.map(([path]) => path)))];
+
+// Runs in the page. Objects and functions count as "present"; primitives are returned as strings.
+export async function readJsGlobals(page) {
+  try {
+    return await page.evaluate((paths) => {
+      const found = {};
+      for (const path of paths) {
+        try {
+          let value = window;
+          for (const key of path.split('.')) {
+            if (value == null) break;
+            value = value[key];
+          }
+          if (value === undefined || value === null) continue;
+          found[path] = typeof value === 'object' || typeof value === 'function' ? '' : String(value);
+        } catch {
+          // Getters on some globals throw; treat as absent.
+        }
+      }
+      return found;
+    }, FINGERPRINT_JS_PATHS);
+  } catch {
+    return null;
+  }
+}
+
+function clip(value) {
+  const text = String(value ?? '');
+  return text.length > MAX_EVIDENCE_VALUE ? `${text.slice(0, MAX_EVIDENCE_VALUE)}…` : text;
+}
+
+// Splits HTTP response headers into detection signals. Only cookie *names* are kept, so session
+// values never end up in the cache or the output.
+export function signalsFromHeaders(headers = {}) {
+  const plain = {};
+  let setCookie = [];
+  for (const [key, value] of Object.entries(headers || {})) {
+    if (key.toLowerCase() === 'set-cookie') setCookie = [].concat(value);
+    else plain[key.toLowerCase()] = value;
+  }
+  return {
+    headers: plain,
+    cookies: setCookie.map((c) => String(c).split('=')[0].trim()).filter(Boolean)
+  };
+}
+
+// Response headers as a plain lowercase map; cookies are matched by name instead.
+function normalizeHeaders(headers = {}) {
+  const out = {};
+  for (const [key, value] of Object.entries(headers || {})) {
+    if (key.toLowerCase() === 'set-cookie') continue;
+    out[key.toLowerCase()] = Array.isArray(value) ? value.join(', ') : String(value);
+  }
+  return out;
+}
+
+/**
+ * @param {{ $: import('cheerio').CheerioAPI, url: string, headers?: object, cookies?: string[], js?: object|null }} signals
+ *   `js` is only available when the browser path ran (see `readJsGlobals`).
+ */
+export function detectTechnologies({ $, url, headers = {}, cookies = [], js = null }) {
+  const responseHeaders = normalizeHeaders(headers);
+  const metaTags = $('meta[name]')
+    .toArray()
+    .map((el) => [String($(el).attr('name')).toLowerCase(), $(el).attr('content') || '']);
+  const scriptSrcs = $('script[src]')
+    .toArray()
+    .map((el) => $(el).attr('src'));
+
+  const found = new Map();
+
+  for (const tech of COMPILED) {
+    const evidence = [];
+    let version = null;
+    const note = (type, detail, match) => {
+      evidence.push({ type, ...detail });
+      if (!version && match?.[1]) version = match[1];
+    };
+
+    for (const [header, re] of tech.headers) {
+      const value = responseHeaders[header];
+      const match = value !== undefined ? value.match(re) : null;
+      if (match) note('header', { name: header, value: clip(value) }, match);
+    }
+    for (const re of tech.cookies) {
+      const name = cookies.find((c) => re.test(c));
+      if (name) note('cookie', { name });
+    }
+    for (const [metaName, re] of tech.meta) {
+      for (const [name, content] of metaTags) {
+        const match = name === metaName ? content.match(re) : null;
+        if (match) note('meta', { name, value: clip(content) }, match);
+      }
+    }
+    for (const re of tech.scriptSrc) {
+      const src = scriptSrcs.find((s) => re.test(s));
+      if (src) note('scriptSrc', { value: clip(src) }, src.match(re));
+    }
+    if (js) {
+      for (const [path, re] of tech.js) {
+        const match = path in js ? js[path].match(re) : null;
+        if (match) note('js', { name: path, value: clip(js[path]) }, match);
+      }
+    }
+    for (const rule of tech.dom) {
+      let el;
+      try {
+        el = $(rule.selector).first();
+      } catch {
+        continue;
+      }
+      if (!el.length) continue;
+      if (rule.attribute) {
+        const value = el.attr(rule.attribute) || '';
+        const match = value.match(rule.pattern);
+        if (match) note('dom', { selector: rule.selector, value: clip(value) }, match);
+      } else {
+        note('dom', { selector: rule.selector });
+      }
+    }
+    for (const re of tech.url) {
+      if (re.test(url)) note('url', { value: clip(url) });
+    }
+
+    if (evidence.length === 0) continue;
+
+    // Independent evidence: 1 - product of "this alone could be wrong" chances.
+    const doubt = evidence.reduce((acc, e) => acc * (1 - EVIDENCE_WEIGHTS[e.type]), 1);
+    found.set(tech.name, {
+      name: tech.name,
+      category: tech.category,
+      icon: tech.icon,
+      version,
+      confidence: Math.round((1 - doubt) * 100) / 100,
+      evidence
+    });
+  }
+
+  // Next.js implies React, WooCommerce implies WordPress, and so on.
+  const queue = [...found.values()];
+  while (queue.length > 0) {
+    const parent = queue.shift();
+    const rule = COMPILED.find((t) => t.name === parent.name);
+    for (const impliedName of rule.implies) {
+      if (found.has(impliedName)) continue;
+      const implied = COMPILED.find((t) => t.name === impliedName);
+      if (!implied) continue;
+      const entry = {
+        name: implied.name,
+        category: implied.category,
+        icon: implied.icon,
+        version: null,
+        confidence: parent.confidence,
+        evidence: [{ type: 'implied', by: parent.name }]
+      };
+      found.set(impliedName, entry);
+      queue.push(entry);
+    }
+  }
+
+  return [...found.values()].sort((a, b) => b.confidence - a.confidence || a.name.localeCompare(b.name));
+}
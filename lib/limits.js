@@ -0,0 +1,164 @@
+// How much one page may download, extract and put into the output, and how far a whole run may go
+// (time, memory) before it stops starting new pages.
+
+const DEFAULT_MAX_RESPONSE_BYTES = 10 * 1024 * 1024;
+const DEFAULT_RAW_HTML_MAX_CHARS = 100000;
+const RAW_HTML_MODES = new Set(['full', 'truncate', 'omit', 'store']);
+
+// Caps on the structured extraction; every one can be raised or lowered from the input.
+export const DEFAULT_EXTRACTION_LIMITS = {
+  maxTables: 10,
+  maxTableRows: 50,
+  maxTableCols: 20,
+  maxLists: 30,
+  maxListItems: 60,
+  maxUniqueComponents: 80,
+  maxImages: 20,
+  maxLinks: 50
+};
+
+function invalidLimitsInput(errorType, message) {
+  const err = new Error(errorType);
+  err.statusCode = 400;
+  err.publicPayload = { error: 'Invalid input', errorType, message };
+  return err;
+}
+
+function positiveIntOr(value, fallback) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export function normalizeLimits(input = {}) {
+  const rawHtmlMode = String(input.rawHtml || 'full').toLowerCase();
+  if (!RAW_HTML_MODES.has(rawHtmlMode)) {
+    throw invalidLimitsInput('INVALID_RAW_HTML_MODE', `rawHtml must be one of: ${[...RAW_HTML_MODES].join(', ')}.`);
+  }
+
+  return {
+    maxResponseBytes: positiveIntOr(input.maxResponseBytes, DEFAULT_MAX_RESPONSE_BYTES),
+    rawHtml: {
+      mode: rawHtmlMode,
+      maxChars: positiveIntOr(input.rawHtmlMaxChars, DEFAULT_RAW_HTML_MAX_CHARS)
+    },
+    extraction: Object.fromEntries(
+      Object.entries(DEFAULT_EXTRACTION_LIMITS).map(([name, fallback]) => [name, positiveIntOr(input[name], fallback)])
+    )
+  };
+}
+
+// How much of `buf` to keep for at most `maxBytes` without splitting a UTF-8 character: continuation
+// bytes (10xxxxxx) right after the cut belong to a character that started before it. Sequences are at
+// most 4 bytes, so binary data never backs off further than 3.
+export function utf8Cut(buf, maxBytes) {
+  let cut = Math.min(maxBytes, buf.length);
+  for (let i = 0; i < 3 && cut > 0 && cut < buf.length && (buf[cut] & 0xc0) === 0x80; i++) cut--;
+  return cut;
+}
+
+/**
+ * Reads a response stream up to `maxBytes` and destroys it past that, so an oversized page stops
+ * downloading instead of being buffered whole. Resolves `{ body, bytes, truncated }`; a cut body ends
+ * on a character boundary and `bytes` is what was kept.
+ */
+export function readBodyCapped(stream, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let bytes = 0;
+    let done = false;
+    const finish = (truncated) => {
+      if (done) return;
+      done = true;
+      const all = Buffer.concat(chunks);
+      const body = truncated ? all.subarray(0, utf8Cut(all, maxBytes)) : all;
+      resolve({ body, bytes: body.length, truncated });
+    };
+
+    stream.on('data', (chunk) => {
+      if (done) return;
+      if (bytes + chunk.length > maxBytes) {
+        // Kept whole for now: the bytes past the limit tell where the last character ends.
+        chunks.push(chunk);
+        finish(true);
+        stream.destroy();
+        return;
+      }
+      chunks.push(chunk);
+      bytes += chunk.length;
+    });
+    stream.on('end', () => finish(false));
+    stream.on('error', (err) => {
+      if (!done) {
+        done = true;
+        reject(err);
+      }
+    });
+  });
+}
+
+// The browser already holds the whole page; cutting it still keeps parsing and the output bounded.
+export function capHtml(html, maxBytes) {
+  const bytes = Buffer.byteLength(html);
+  if (bytes <= maxBytes) return { html, bytes, truncated: false };
+  const buf = Buffer.from(html);
+  const cut = utf8Cut(buf, maxBytes);
+  return { html: buf.subarray(0, cut).toString('utf8'), bytes: cut, truncated: true };
+}
+
+/**
+ * Applies the `rawHtml` option to the page HTML. Returns the fields to put into the record:
+ * `rawHtml` (unless omitted or stored) and the `size.rawHtml*` details. "store" saves the HTML next
+ * to the captures and links it; without a store (API server) it falls back to "truncate".
+ */
+export async function outputRawHtml(html, { mode, maxChars }, { url, store } = {}) {
+  if (typeof html !== 'string') return { fields: {}, size: {} };
+  const size = { rawHtmlChars: html.length };
+
+  if (mode === 'omit') return { fields: {}, size: { ...size, rawHtml: 'omitted' } };
+  if (mode === 'store' && store) {
+    try {
+      const stored = await store.save(url, {
+        body: Buffer.from(html),
+        name: 'raw.html',
+        contentType: 'text/html; charset=utf-8'
+      });
+      return { fields: {}, size: { ...size, rawHtml: 'stored', rawHtmlKey: stored.key, rawHtmlUrl: stored.url } };
+    } catch (err) {
+      console.error('[ERROR] Storing raw HTML failed:', { url, error: err?.message });
+    }
+  }
+  if ((mode === 'truncate' || mode === 'store') && html.length > maxChars) {
+    return { fields: { rawHtml: html.slice(0, maxChars) }, size: { ...size, rawHtml: 'truncated' } };
+  }
+  return { fields: { rawHtml: html }, size: { ...size, rawHtml: 'full' } };
+}
+
+/**
+ * Per-run budget: once the run is older than `maxRunTimeSecs` or the process uses more than
+ * `maxRunMemoryMb` (RSS), `exceeded()` returns why and no new pages start. Batch, crawl and sitemap
+ * pages already in flight still finish; a single-URL run also cuts its one page off at `remainingMs()`.
+ * Only this Node.js process counts; Chromium's processes don't.
+ */
+export function createRunBudget(input = {}, { now = Date.now } = {}) {
+  const maxTimeMs = positiveIntOr(input.maxRunTimeSecs, 0) * 1000;
+  const maxMemoryBytes = positiveIntOr(input.maxRunMemoryMb, 0) * 1024 * 1024;
+  const startedAt = now();
+  let reason = null;
+
+  return {
+    // Time left of the time budget; Infinity without one.
+    remainingMs() {
+      return maxTimeMs ? Math.max(0, startedAt + maxTimeMs - now()) : Infinity;
+    },
+    exceeded() {
+      if (reason) return reason;
+      if (maxTimeMs && now() - startedAt >= maxTimeMs) {
+        reason = { budget: 'time', message: `Run time budget of ${maxTimeMs / 1000} s used up.` };
+      } else if (maxMemoryBytes && process.memoryUsage().rss >= maxMemoryBytes) {
+        reason = { budget: 'memory', message: `Memory budget of ${maxMemoryBytes / 1024 / 1024} MB reached.` };
+      }
+      if (reason) console.warn('[WARN] Run budget exceeded, no new pages will start:', reason);
+      return reason;
+    }
+  };
+}
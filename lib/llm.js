@@ -0,0 +1,176 @@
+import axios from 'axios';
+
+// Every adapter exposes the same `complete({ system, messages })` -> Promise<string> call,
+// so callers never need to know which API is behind the summary.
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const PROVIDERS = {
+  pollinations: {
+    baseUrl: 'https://text.pollinations.ai',
+    model: 'openai',
+    requiresApiKey: false
+  },
+  openai: {
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    requiresApiKey: true
+  },
+  anthropic: {
+    baseUrl: 'https://api.anthropic.com',
+    model: 'claude-3-5-haiku-latest',
+    requiresApiKey: true
+  }
+};
+
+function invalidLlmConfig(errorType, message) {
+  const err = new Error(errorType);
+  err.statusCode = 400;
+  err.publicPayload = { error: 'Invalid input', errorType, message };
+  return err;
+}
+
+function pickNumber(...values) {
+  for (const v of values) {
+    if (v === undefined || v === null || v === '') continue;
+    const n = Number(v);
+    if (Number.isFinite(n)) return n;
+  }
+  return undefined;
+}
+
+// Input wins over env vars so a run can override the Actor-level defaults.
+// API keys are meant to come from secret input fields or secret env vars.
+export function resolveLlmConfig(input = {}) {
+  const env = process.env;
+  const provider = String(input.llmProvider || env.LLM_PROVIDER || 'pollinations').toLowerCase();
+  const defaults = PROVIDERS[provider];
+
+  if (!defaults) {
+    throw invalidLlmConfig(
+      'INVALID_LLM_PROVIDER',
+      `Unknown LLM provider "${provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}.`
+    );
+  }
+
+  const trim = (url) => String(url).replace(/\/+$/, '');
+  const operatorBaseUrl = trim(env.LLM_BASE_URL || defaults.baseUrl);
+  const baseUrl = input.llmBaseUrl ? trim(input.llmBaseUrl) : operatorBaseUrl;
+  // Env keys only ever go to the env/default endpoint; a base URL from the input brings its own key,
+  // otherwise anyone who can set `llmBaseUrl` could collect the operator's key.
+  const envKeyAllowed = baseUrl === operatorBaseUrl;
+  const apiKey =
+    input.llmApiKey ||
+    (envKeyAllowed
+      ? env.LLM_API_KEY ||
+        (provider === 'openai' ? env.OPENAI_API_KEY : undefined) ||
+        (provider === 'anthropic' ? env.ANTHROPIC_API_KEY : undefined)
+      : undefined) ||
+    null;
+
+  // A custom base URL usually means a gateway or a local server (Ollama, llama.cpp)
+  // that may not need a key; the public defaults always do.
+  if (defaults.requiresApiKey && !apiKey && baseUrl === defaults.baseUrl) {
+    throw invalidLlmConfig(
+      'LLM_API_KEY_REQUIRED',
+      `The ${provider} provider needs an API key (llmApiKey input or LLM_API_KEY env var).`
+    );
+  }
+
+  return {
+    provider,
+    baseUrl,
+    apiKey,
+    model: input.llmModel || env.LLM_MODEL || defaults.model,
+    temperature: pickNumber(input.llmTemperature, env.LLM_TEMPERATURE),
+    maxTokens: pickNumber(input.llmMaxTokens, env.LLM_MAX_TOKENS),
+    timeoutMs: pickNumber(env.LLM_TIMEOUT_MS) ?? DEFAULT_TIMEOUT_MS
+  };
+}
+
+function withSystemMessage(system, messages) {
+  return system ? [{ role: 'system', content: system }, ...messages] : messages;
+}
+
+function createPollinationsAdapter(config) {
+  return async ({ system, messages }) => {
+    const res = await axios.post(
+      `${config.baseUrl}/`,
+      {
+        messages: withSystemMessage(system, messages),
+        model: config.model,
+        private: true,
+        ...(config.temperature !== undefined ? { temperature: config.temperature } : {})
+      },
+      {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: config.timeoutMs
+      }
+    );
+    return typeof res.data === 'string' ? res.data : JSON.stringify(res.data);
+  };
+}
+
+function createOpenAiAdapter(config) {
+  return async ({ system, messages }) => {
+    const res = await axios.post(
+      `${config.baseUrl}/chat/completions`,
+      {
+        model: config.model,
+        messages: withSystemMessage(system, messages),
+        ...(config.temperature !== undefined ? { temperature: config.temperature } : {}),
+        ...(config.maxTokens !== undefined ? { max_tokens: config.maxTokens } : {})
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {})
+        },
+        timeout: config.timeoutMs
+      }
+    );
+    return res.data?.choices?.[0]?.message?.content ?? '';
+  };
+}
+
+function createAnthropicAdapter(config) {
+  return async ({ system, messages }) => {
+    const res = await axios.post(
+      `${config.baseUrl}/v1/messages`,
+      {
+        model: config.model,
+        max_tokens: config.maxTokens ?? 1024,
+        ...(system ? { system } : {}),
+        messages,
+        ...(config.temperature !== undefined ? { temperature: config.temperature } : {})
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'anthropic-version': '2023-06-01',
+          ...(config.apiKey ? { 'x-api-key': config.apiKey } : {})
+        },
+        timeout: config.timeoutMs
+      }
+    );
+    return (res.data?.content || [])
+      .filter((block) => block?.type === 'text')
+      .map((block) => block.text)
+      .join('');
+  };
+}
+
+const ADAPTERS = {
+  pollinations: createPollinationsAdapter,
+  openai: createOpenAiAdapter,
+  anthropic: createAnthropicAdapter
+};
+
+export function createLlmClient(config) {
+  const complete = ADAPTERS[config.provider](config);
+  return {
+    provider: config.provider,
+    model: config.model,
+    complete
+  };
+}
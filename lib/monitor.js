@@ -0,0 +1,187 @@
+import { createHash } from 'node:crypto';
+
+// Change monitoring: keep one snapshot per URL and describe what changed since the last
+// reported version as a structured diff plus a 0..1 change score.
+
+const MAX_DIFF_ITEMS = 100;
+const MAX_CELL_CHANGES = 200;
+
+// Relative weight of each part of the page in the change score.
+const SCORE_WEIGHTS = {
+  title: 0.15,
+  description: 0.05,
+  paragraphs: 0.45,
+  tables: 0.2,
+  links: 0.1,
+  images: 0.05
+};
+
+function hashOf(value) {
+  return createHash('sha1').update(JSON.stringify(value)).digest('hex');
+}
+
+export function createSnapshot(record) {
+  const snapshot = {
+    url: record.url,
+    title: record.title || '',
+    description: record.description || '',
+    paragraphs: record.paragraphs || [],
+    tables: (record.tables || []).map((t) => ({ caption: t.caption || '', headers: t.headers || [], rows: t.rows || [] })),
+    links: [...new Set((record.links || []).map((l) => l.url))],
+    images: [...new Set(record.images || [])],
+    takenAt: record.scrapedAt || new Date().toISOString()
+  };
+  const { takenAt, ...content } = snapshot;
+  return { ...snapshot, contentHash: hashOf(content) };
+}
+
+function setDiff(before, after) {
+  const previous = new Set(before);
+  const next = new Set(after);
+  return {
+    added: after.filter((v) => !previous.has(v)).slice(0, MAX_DIFF_ITEMS),
+    removed: before.filter((v) => !next.has(v)).slice(0, MAX_DIFF_ITEMS),
+    addedCount: after.filter((v) => !previous.has(v)).length,
+    removedCount: before.filter((v) => !next.has(v)).length
+  };
+}
+
+function diffTables(before, after) {
+  const changes = [];
+  const count = Math.max(before.length, after.length);
+
+  for (let i = 0; i < count; i++) {
+    const prev = before[i];
+    const next = after[i];
+    if (!prev || !next) {
+      changes.push({ index: i, caption: (next || prev).caption, status: next ? 'added' : 'removed' });
+      continue;
+    }
+
+    const changedCells = [];
+    const rowCount = Math.max(prev.rows.length, next.rows.length);
+    for (let r = 0; r < rowCount && changedCells.length < MAX_CELL_CHANGES; r++) {
+      const prevRow = prev.rows[r] || [];
+      const nextRow = next.rows[r] || [];
+      const colCount = Math.max(prevRow.length, nextRow.length);
+      for (let c = 0; c < colCount; c++) {
+        if ((prevRow[c] ?? '') !== (nextRow[c] ?? '')) {
+          changedCells.push({ row: r, col: c, header: next.headers[c] || prev.headers[c] || null, from: prevRow[c] ?? null, to: nextRow[c] ?? null });
+        }
+      }
+    }
+
+    const headersChanged = JSON.stringify(prev.headers) !== JSON.stringify(next.headers);
+    if (changedCells.length || headersChanged) {
+      changes.push({
+        index: i,
+        caption: next.caption,
+        status: 'changed',
+        headersChanged,
+        rowCountBefore: prev.rows.length,
+        rowCountAfter: next.rows.length,
+        changedCells
+      });
+    }
+  }
+
+  return changes;
+}
+
+function fieldChange(before, after) {
+  return before === after ? null : { from: before, to: after };
+}
+
+function ratio(changed, total) {
+  return total > 0 ? Math.min(1, changed / total) : changed > 0 ? 1 : 0;
+}
+
+export function diffSnapshots(previous, current) {
+  const paragraphs = setDiff(previous.paragraphs, current.paragraphs);
+  const links = setDiff(previous.links, current.links);
+  const images = setDiff(previous.images, current.images);
+  const tables = diffTables(previous.tables, current.tables);
+
+  const diff = {
+    title: fieldChange(previous.title, current.title),
+    description: fieldChange(previous.description, current.description),
+    paragraphs,
+    tables,
+    links,
+    images
+  };
+
+  const totalCells = (list) => list.reduce((sum, t) => sum + t.rows.reduce((s, r) => s + r.length, 0), 0);
+  const changedCells = tables.reduce(
+    (sum, t) => sum + (t.status === 'changed' ? t.changedCells.length : totalCells([previous.tables[t.index] || current.tables[t.index]])),
+    0
+  );
+
+  const score =
+    (diff.title ? SCORE_WEIGHTS.title : 0) +
+    (diff.description ? SCORE_WEIGHTS.description : 0) +
+    SCORE_WEIGHTS.paragraphs *
+      ratio(paragraphs.addedCount + paragraphs.removedCount, Math.max(previous.paragraphs.length, current.paragraphs.length)) +
+    SCORE_WEIGHTS.tables * ratio(changedCells, Math.max(totalCells(previous.tables), totalCells(current.tables))) +
+    SCORE_WEIGHTS.links * ratio(links.addedCount + links.removedCount, Math.max(previous.links.length, current.links.length)) +
+    SCORE_WEIGHTS.images * ratio(images.addedCount + images.removedCount, Math.max(previous.images.length, current.images.length));
+
+  return { diff, score: Math.round(Math.min(1, score) * 1000) / 1000 };
+}
+
+// `minScore` filters out noise such as rotating "related articles" links.
+export function compareSnapshots(previous, current, { minScore = 0 } = {}) {
+  if (!previous) {
+    return { status: 'new', changed: true, score: 1, previousSnapshotAt: null, diff: null };
+  }
+  if (previous.contentHash === current.contentHash) {
+    return { status: 'unchanged', changed: false, score: 0, previousSnapshotAt: previous.takenAt, diff: null };
+  }
+
+  const { diff, score } = diffSnapshots(previous, current);
+  const changed = score > minScore;
+  return {
+    status: changed ? 'changed' : 'unchanged',
+    changed,
+    score,
+    previousSnapshotAt: previous.takenAt,
+    diff
+  };
+}
+
+export function formatDiffForPrompt(diff) {
+  if (!diff) return 'No previous version to compare with.';
+  const lines = [];
+
+  if (diff.title) lines.push(`Title changed: "${diff.title.from}" -> "${diff.title.to}"`);
+  if (diff.description) lines.push(`Description changed: "${diff.description.from}" -> "${diff.description.to}"`);
+  for (const p of diff.paragraphs.added) lines.push(`+ ${p}`);
+  for (const p of diff.paragraphs.removed) lines.push(`- ${p}`);
+  for (const t of diff.tables) {
+    if (t.status !== 'changed') {
+      lines.push(`Table ${t.index + 1}${t.caption ? ` (${t.caption})` : ''} ${t.status}`);
+      continue;
+    }
+    for (const cell of t.changedCells) {
+      lines.push(
+        `Table ${t.index + 1} row ${cell.row + 1}${cell.header ? ` [${cell.header}]` : ` col ${cell.col + 1}`}: "${cell.from ?? ''}" -> "${cell.to ?? ''}"`
+      );
+    }
+  }
+  if (diff.links.addedCount) lines.push(`New links: ${diff.links.added.join(', ')}`);
+  if (diff.links.removedCount) lines.push(`Removed links: ${diff.links.removed.join(', ')}`);
+  if (diff.images.addedCount || diff.images.removedCount) {
+    lines.push(`Images: ${diff.images.addedCount} added, ${diff.images.removedCount} removed`);
+  }
+
+  return lines.join('\n');
+}
+
+// Wraps any key-value store with getValue/setValue; one snapshot per normalized URL.
+export function createSnapshotStore(store) {
+  const keyFor = (url) => `SNAPSHOT-${createHash('sha1').update(String(url)).digest('hex').slice(0, 16)}`;
+  return {
+    load: (url) => store.getValue(keyFor(url)),
+    save: (url, snapshot) => store.setValue(keyFor(url), snapshot)
+  };
+}
@@ -0,0 +1,191 @@
+import { lookup as dnsLookup } from 'node:dns';
+import { BlockList, isIP } from 'node:net';
+
+// Which hosts a scrape may reach. Private, loopback, link-local and other non-public addresses are
+// refused (cloud metadata at 169.254.169.254, localhost, RFC 1918 networks), plus optional domain
+// allow/deny lists. Checked before the first request, on every redirect hop and for every request
+// the browser makes.
+
+const DNS_CACHE_MS = 60 * 1000;
+
+const NON_PUBLIC = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+]) {
+  NON_PUBLIC.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b:1::', 48], // local-use NAT64
+  ['100::', 64], // discard
+  ['2001:db8::', 32], // documentation
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+]) {
+  NON_PUBLIC.addSubnet(network, prefix, 'ipv6');
+}
+
+// IPv4 hidden in IPv6 (`::ffff:127.0.0.1`, NAT64 `64:ff9b::a9fe:a9fe`) is judged as IPv4.
+function embeddedIpv4(address) {
+  const mapped = address.match(/^(?:::ffff:(?:0:)?|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return mapped[1];
+  const hex = address.match(/^(?:::ffff:(?:0:)?|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (!hex) return null;
+  const [hi, lo] = [Number.parseInt(hex[1], 16), Number.parseInt(hex[2], 16)];
+  return [hi >> 8, hi & 255, lo >> 8, lo & 255].join('.');
+}
+
+export function isPublicAddress(address) {
+  const ip = String(address || '').replace(/^\[|\]$/g, '');
+  const v4 = isIP(ip) === 6 ? embeddedIpv4(ip) : null;
+  if (v4) return !NON_PUBLIC.check(v4, 'ipv4');
+  const family = isIP(ip);
+  if (!family) return false;
+  return !NON_PUBLIC.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function parseDomainList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list
+    .map((entry) => String(entry || '').trim().toLowerCase().replace(/^\*\./, '').replace(/\.$/, ''))
+    .filter(Boolean);
+}
+
+// `example.com` covers the domain and all of its subdomains.
+const matchesDomain = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+export function urlNotAllowed(url, reason, details = {}) {
+  const err = new Error('URL_NOT_ALLOWED');
+  err.statusCode = 403;
+  err.publicPayload = {
+    error: 'URL not allowed',
+    errorType: 'URL_NOT_ALLOWED',
+    message: `⚠️ ${reason}`,
+    url,
+    details,
+    timestamp: new Date().toISOString()
+  };
+  return err;
+}
+
+export function isUrlNotAllowed(err) {
+  return err?.publicPayload?.errorType === 'URL_NOT_ALLOWED';
+}
+
+/**
+ * Input fields win over the `ALLOWED_DOMAINS` / `DENIED_DOMAINS` / `ALLOW_PRIVATE_NETWORK` env vars.
+ * `allowPrivateNetwork` is meant for local development against localhost.
+ */
+export function createNetworkPolicy(input) {
+  const env = process.env;
+  const allowedDomains = parseDomainList(input?.allowedDomains ?? env.ALLOWED_DOMAINS);
+  const deniedDomains = parseDomainList(input?.deniedDomains ?? env.DENIED_DOMAINS);
+  const allowPrivateNetwork =
+    input?.allowPrivateNetwork !== undefined
+      ? input.allowPrivateNetwork === true
+      : /^(?:1|true|yes)$/i.test(env.ALLOW_PRIVATE_NETWORK || '');
+  const resolved = new Map();
+
+  // Everything that can be decided without DNS: scheme, domain lists, IP literals. `lists: false` is for
+  // endpoints that are not scrape targets (proxies, the LLM API): only the address checks apply.
+  function checkStatic(rawUrl, { lists = true } = {}) {
+    let parsed;
+    try {
+      parsed = new URL(rawUrl);
+    } catch {
+      return { allowed: false, reason: 'The URL could not be parsed.' };
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return { allowed: false, reason: `The ${parsed.protocol} scheme is not allowed.` };
+    }
+    const host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    if (lists && deniedDomains.some((domain) => matchesDomain(host, domain))) {
+      return { allowed: false, host, reason: `${host} is on the denied domains list.` };
+    }
+    if (lists && allowedDomains.length && !allowedDomains.some((domain) => matchesDomain(host, domain))) {
+      return { allowed: false, host, reason: `${host} is not on the allowed domains list.` };
+    }
+    if (isIP(host) && !allowPrivateNetwork && !isPublicAddress(host)) {
+      return { allowed: false, host, address: host, reason: `${host} is a private or reserved address.` };
+    }
+    return { allowed: true, host };
+  }
+
+  const resolveAll = (host) =>
+    new Promise((resolve, reject) => {
+      dnsLookup(host, { all: true, verbatim: true }, (err, addresses) => (err ? reject(err) : resolve(addresses)));
+    });
+
+  // A host is refused if any of its addresses is private: the connection could pick that one.
+  async function checkHost(host) {
+    const hit = resolved.get(host);
+    if (hit && Date.now() - hit.at < DNS_CACHE_MS) return hit.verdict;
+    let verdict;
+    try {
+      const addresses = await resolveAll(host);
+      const blocked = addresses.find((a) => !isPublicAddress(a.address));
+      verdict = blocked
+        ? { allowed: false, host, address: blocked.address, reason: `${host} resolves to a private or reserved address.` }
+        : { allowed: true, host };
+    } catch {
+      // Unresolvable hosts fail later with a proper DNS error.
+      verdict = { allowed: true, host };
+    }
+    resolved.set(host, { at: Date.now(), verdict });
+    return verdict;
+  }
+
+  async function check(rawUrl, options) {
+    const verdict = checkStatic(rawUrl, options);
+    if (!verdict.allowed || allowPrivateNetwork || isIP(verdict.host)) return verdict;
+    return checkHost(verdict.host);
+  }
+
+  return {
+    check,
+
+    async assertAllowed(rawUrl, options) {
+      const { allowed, reason, ...details } = await check(rawUrl, options);
+      if (!allowed) throw urlNotAllowed(rawUrl, reason, details);
+    },
+
+    // For axios: the lookup runs at connect time on every hop (no DNS rebinding between check and
+    // connect), and redirects are re-checked synchronously before they are followed.
+    axiosOptions: {
+      lookup(hostname, options, callback) {
+        dnsLookup(hostname, { ...options, all: true, verbatim: true }, (err, addresses) => {
+          if (err) return callback(err);
+          const blocked = !allowPrivateNetwork && addresses.find((a) => !isPublicAddress(a.address));
+          if (blocked) {
+            return callback(
+              urlNotAllowed(hostname, `${hostname} resolves to a private or reserved address.`, {
+                host: hostname,
+                address: blocked.address
+              })
+            );
+          }
+          return options?.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+        });
+      },
+      beforeRedirect(options) {
+        const { allowed, reason, ...details } = checkStatic(options.href);
+        if (!allowed) throw urlNotAllowed(options.href, reason, details);
+      }
+    }
+  };
+}
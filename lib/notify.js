@@ -0,0 +1,246 @@
+import { createHmac } from 'node:crypto';
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+
+// Pushes finished records to webhooks, Slack and email. Delivery problems are logged and
+// never fail the run: the dataset stays the source of truth.
+
+const REQUEST_TIMEOUT_MS = 10000;
+const DEFAULT_WEBHOOK_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const SLACK_TEXT_LIMIT = 2900;
+const NOTIFY_ON = new Set(['all', 'success', 'failure']);
+
+// `{{path.to.field}}` placeholders, resolved against the record plus a few helper fields.
+const DEFAULT_TEMPLATES = {
+  webhook: {
+    success: 'Scraped {{url}}: {{title}}',
+    failure: 'Scraping {{url}} failed ({{errorType}}): {{message}}'
+  },
+  slack: {
+    success: ':white_check_mark: *<{{url}}|{{title}}>*\n{{summary}}',
+    failure: ':x: *Scraping failed* ({{errorType}})\n<{{url}}>\n{{message}}'
+  },
+  email: {
+    successSubject: 'Scraped: {{title}}',
+    success: '{{url}}\n\n{{summary}}\n\n{{fieldsText}}',
+    failureSubject: 'Scraping failed ({{errorType}}): {{url}}',
+    failure: '{{url}}\n\n{{error}}: {{message}}\n\n{{fieldsText}}'
+  }
+};
+
+function invalidNotifyConfig(message) {
+  const err = new Error('INVALID_NOTIFY_CONFIG');
+  err.statusCode = 400;
+  err.publicPayload = { error: 'Invalid input', errorType: 'INVALID_NOTIFY_CONFIG', message };
+  return err;
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function lookup(source, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+export function renderTemplate(template, vars) {
+  return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+    const value = lookup(vars, path);
+    if (value == null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+// The handful of fields worth seeing in a chat message or an email without opening the dataset.
+function keyFields(record) {
+  if (record.failed) {
+    return [
+      ['Error type', record.errorType],
+      ['HTTP path', record.details?.httpError],
+      ['Browser path', record.details?.browserError],
+      ['Proxy', record.details?.proxy?.proxyUrl],
+      ['At', record.timestamp]
+    ].filter(([, value]) => value);
+  }
+  return [
+    ['Method', record.methodUsed],
+    ['Words', record.wordCount],
+    record.change ? ['Change', `${record.change.status} (score ${record.change.score})`] : null,
+    record.extracted ? ['Extracted fields', Object.keys(record.extracted).length] : null,
+    record.exports?.pdf ? ['PDF', record.exports.pdf] : null,
+    ['Scraped at', record.scrapedAt]
+  ].filter((field) => field && field[1] != null && field[1] !== '');
+}
+
+// Successes get a trimmed copy of the record; failures keep the public error payload as is.
+function eventPayload(record) {
+  if (record.failed) {
+    const { failed, ...payload } = record;
+    return payload;
+  }
+  const { url, title, description, summary, methodUsed, change, extracted, extraction, exports, scrapedAt } = record;
+  return { url, title, description, summary, methodUsed, change, extracted, extraction, exports, scrapedAt };
+}
+
+function isRetryable(err) {
+  const status = err.response?.status;
+  return !status || status === 429 || status >= 500;
+}
+
+async function postWithRetry(url, body, { headers = {}, retries }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await axios.post(url, body, {
+        headers: { 'Content-Type': 'application/json', ...headers },
+        timeout: REQUEST_TIMEOUT_MS,
+        // Send the exact bytes that were signed.
+        transformRequest: [(data) => data]
+      });
+      return attempt;
+    } catch (err) {
+      if (attempt > retries || !isRetryable(err)) throw err;
+      await delay(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+}
+
+function createWebhookSink(input, templates) {
+  const retries = Number.parseInt(input.webhookMaxRetries, 10);
+  return {
+    name: 'webhook',
+    async send(event, vars) {
+      const body = JSON.stringify({
+        event: event.type,
+        text: renderTemplate(templates[event.outcome], vars),
+        data: event.payload
+      });
+      const headers = {};
+      if (input.webhookSecret) {
+        // Signing the timestamp too lets receivers reject replayed deliveries.
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const signature = createHmac('sha256', input.webhookSecret).update(`${timestamp}.${body}`).digest('hex');
+        headers['X-Webhook-Timestamp'] = timestamp;
+        headers['X-Webhook-Signature'] = `sha256=${signature}`;
+      }
+      return postWithRetry(input.webhookUrl, body, {
+        headers,
+        retries: Number.isFinite(retries) && retries >= 0 ? retries : DEFAULT_WEBHOOK_RETRIES
+      });
+    }
+  };
+}
+
+function createSlackSink(input, templates) {
+  return {
+    name: 'slack',
+    async send(event, vars) {
+      const text = renderTemplate(templates[event.outcome], vars).slice(0, SLACK_TEXT_LIMIT);
+      const fields = keyFields(event.record)
+        .slice(0, 10)
+        .map(([label, value]) => ({ type: 'mrkdwn', text: `*${label}*\n${String(value).slice(0, 200)}` }));
+      const body = JSON.stringify({
+        text,
+        blocks: [
+          { type: 'section', text: { type: 'mrkdwn', text } },
+          ...(fields.length ? [{ type: 'section', fields }] : [])
+        ]
+      });
+      return postWithRetry(input.slackWebhookUrl, body, { retries: DEFAULT_WEBHOOK_RETRIES });
+    }
+  };
+}
+
+function createEmailSink(input, templates) {
+  const smtpUrl = input.smtpUrl || process.env.SMTP_URL;
+  const to = (Array.isArray(input.emailTo) ? input.emailTo : String(input.emailTo).split(','))
+    .map((address) => String(address).trim())
+    .filter(Boolean);
+
+  if (!smtpUrl) throw invalidNotifyConfig('Email notifications need an SMTP URL (smtpUrl input or SMTP_URL env var).');
+  if (to.length === 0) throw invalidNotifyConfig('emailTo must contain at least one address.');
+
+  const transport = nodemailer.createTransport(smtpUrl);
+  return {
+    name: 'email',
+    async send(event, vars) {
+      await transport.sendMail({
+        from: input.emailFrom || process.env.SMTP_FROM || 'web-scraper-ai@localhost',
+        to,
+        subject: renderTemplate(templates[`${event.outcome}Subject`], vars),
+        text: renderTemplate(templates[event.outcome], vars)
+      });
+      return 1;
+    }
+  };
+}
+
+function mergeTemplates(custom) {
+  if (custom == null) return DEFAULT_TEMPLATES;
+  if (typeof custom !== 'object' || Array.isArray(custom)) {
+    throw invalidNotifyConfig('notificationTemplates must be an object like { "slack": { "success": "..." } }.');
+  }
+  return Object.fromEntries(
+    Object.entries(DEFAULT_TEMPLATES).map(([sink, defaults]) => [sink, { ...defaults, ...(custom[sink] || {}) }])
+  );
+}
+
+// Returns null when no sink is configured, so callers can skip the work entirely.
+export function createNotifier(input = {}) {
+  const templates = mergeTemplates(input.notificationTemplates);
+  const sinks = [];
+  if (input.webhookUrl) sinks.push(createWebhookSink(input, templates.webhook));
+  if (input.slackWebhookUrl) sinks.push(createSlackSink(input, templates.slack));
+  if (input.emailTo?.length) sinks.push(createEmailSink(input, templates.email));
+  if (sinks.length === 0) return null;
+
+  const notifyOn = String(input.notifyOn || 'all').toLowerCase();
+  if (!NOTIFY_ON.has(notifyOn)) {
+    throw invalidNotifyConfig(`notifyOn must be one of: ${[...NOTIFY_ON].join(', ')}.`);
+  }
+  const errorTypes = new Set((input.notifyErrorTypes || []).map((t) => String(t).trim().toUpperCase()));
+
+  const wants = (record) => {
+    if (record.failed) {
+      return notifyOn !== 'success' && (errorTypes.size === 0 || errorTypes.has(record.errorType));
+    }
+    return notifyOn !== 'failure';
+  };
+
+  return {
+    sinks: sinks.map((sink) => sink.name),
+    async notify(record) {
+      if (!wants(record)) return [];
+
+      const outcome = record.failed ? 'failure' : 'success';
+      const event = {
+        type: record.failed ? 'page.failed' : 'page.succeeded',
+        outcome,
+        record,
+        payload: eventPayload(record)
+      };
+      const fields = keyFields(record);
+      const vars = {
+        ...record,
+        title: record.title || record.url,
+        summary: record.summary || record.description || '',
+        fieldsText: fields.map(([label, value]) => `${label}: ${value}`).join('\n')
+      };
+
+      const results = await Promise.all(
+        sinks.map(async (sink) => {
+          try {
+            const attempts = await sink.send(event, vars);
+            return { sink: sink.name, delivered: true, attempts };
+          } catch (err) {
+            console.error('[ERROR] Notification failed:', {
+              sink: sink.name,
+              url: record.url,
+              error: err.response?.status ? `HTTP ${err.response.status}` : err.message
+            });
+            return { sink: sink.name, delivered: false, error: err.message };
+          }
+        })
+      );
+      return results;
+    }
+  };
+}
@@ -0,0 +1,152 @@
+import { HttpProxyAgent } from 'http-proxy-agent';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+
+// Picks a proxy per target domain. Sessions are sticky per domain by default and only move
+// to a new proxy (or a new Apify Proxy session, i.e. a new IP) after a block is detected.
+
+const APIFY_PROXY_HOST = 'proxy.apify.com';
+const APIFY_PROXY_PORT = 8000;
+
+function invalidProxyConfig(errorType, message) {
+  const err = new Error(errorType);
+  err.statusCode = 400;
+  err.publicPayload = { error: 'Invalid input', errorType, message };
+  return err;
+}
+
+export function redactProxyUrl(proxyUrl) {
+  try {
+    const parsed = new URL(proxyUrl);
+    if (parsed.password) parsed.password = '***';
+    // Apify Proxy usernames carry commas; keep them readable in the output.
+    return decodeURIComponent(parsed.href.replace(/\/$/, ''));
+  } catch {
+    return null;
+  }
+}
+
+function parseProxyUrl(raw) {
+  let parsed;
+  try {
+    parsed = new URL(String(raw).trim());
+  } catch {
+    throw invalidProxyConfig('INVALID_PROXY_URL', `Invalid proxy URL: ${redactProxyUrl(raw) || 'unparseable value'}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw invalidProxyConfig('INVALID_PROXY_URL', 'Only http(s) proxy URLs are supported.');
+  }
+  return parsed;
+}
+
+function toProxy(parsed, { type, sessionId }) {
+  return {
+    type,
+    url: parsed.href,
+    server: `${parsed.protocol}//${parsed.host}`,
+    username: decodeURIComponent(parsed.username) || null,
+    password: decodeURIComponent(parsed.password) || null,
+    sessionId,
+    label: redactProxyUrl(parsed.href)
+  };
+}
+
+// Apify Proxy session ids: up to 50 chars of [\w._~].
+function sessionIdFor(host, generation) {
+  const slug = host.replace(/[^\w.~]/g, '_').slice(0, 40);
+  return `${slug}_${generation}`;
+}
+
+function buildApifyProxyUrl({ groups, country, sessionId }) {
+  const password = process.env.APIFY_PROXY_PASSWORD;
+  const host = process.env.APIFY_PROXY_HOSTNAME || APIFY_PROXY_HOST;
+  const port = process.env.APIFY_PROXY_PORT || APIFY_PROXY_PORT;
+
+  const parts = [];
+  if (groups.length) parts.push(`groups-${groups.join('+')}`);
+  if (sessionId) parts.push(`session-${sessionId}`);
+  if (country) parts.push(`country-${country}`);
+  const username = parts.length ? parts.join(',') : 'auto';
+
+  return new URL(`http://${encodeURIComponent(username)}:${encodeURIComponent(password)}@${host}:${port}`);
+}
+
+export function createProxyRotator(input) {
+  const config = input?.proxyConfiguration || {};
+  const customUrls = (Array.isArray(config.proxyUrls) ? config.proxyUrls : []).filter(Boolean).map(parseProxyUrl);
+  const useApifyProxy = Boolean(config.useApifyProxy) && customUrls.length === 0;
+
+  if (!useApifyProxy && customUrls.length === 0) return null;
+
+  if (useApifyProxy && !process.env.APIFY_PROXY_PASSWORD) {
+    throw invalidProxyConfig(
+      'PROXY_NOT_CONFIGURED',
+      'Apify Proxy was requested but APIFY_PROXY_PASSWORD is not set. Run on the Apify platform or set it locally.'
+    );
+  }
+
+  const rotation = input?.proxyRotation === 'random' ? 'random' : 'round-robin';
+  const sessionPerDomain = input?.proxySessionPerDomain !== false;
+  const groups = (Array.isArray(config.apifyProxyGroups) ? config.apifyProxyGroups : []).filter(Boolean);
+  const country = config.apifyProxyCountry || null;
+
+  let cursor = 0;
+  const nextIndex = (avoid) => {
+    if (customUrls.length <= 1) return 0;
+    if (rotation === 'random') {
+      let index;
+      do {
+        index = Math.floor(Math.random() * customUrls.length);
+      } while (index === avoid);
+      return index;
+    }
+    let index = cursor++ % customUrls.length;
+    if (index === avoid) index = cursor++ % customUrls.length;
+    return index;
+  };
+
+  const domains = new Map();
+  const stateFor = (targetUrl) => {
+    const host = new URL(targetUrl).hostname;
+    if (sessionPerDomain && domains.has(host)) return { host, state: domains.get(host) };
+    const state = { index: nextIndex(), generation: 0 };
+    if (sessionPerDomain) domains.set(host, state);
+    return { host, state };
+  };
+
+  const build = (host, state) => {
+    if (!useApifyProxy) {
+      return toProxy(customUrls[state.index], { type: 'custom', sessionId: sessionPerDomain ? `${host}#${state.generation}` : null });
+    }
+    // Without a session id Apify Proxy picks a new IP for every request anyway.
+    const sessionId = sessionPerDomain ? sessionIdFor(host, state.generation) : null;
+    return toProxy(buildApifyProxyUrl({ groups, country, sessionId }), { type: 'apify', sessionId });
+  };
+
+  return {
+    getProxy(targetUrl) {
+      const { host, state } = stateFor(targetUrl);
+      return build(host, state);
+    },
+    // Called after a block: the domain moves to the next proxy / a fresh Apify session.
+    rotate(targetUrl) {
+      const { host, state } = stateFor(targetUrl);
+      state.generation++;
+      state.index = nextIndex(state.index);
+      return build(host, state);
+    }
+  };
+}
+
+export function createProxyAgents(proxy) {
+  if (!proxy) return {};
+  return {
+    proxy: false,
+    httpAgent: new HttpProxyAgent(proxy.url),
+    httpsAgent: new HttpsProxyAgent(proxy.url)
+  };
+}
+
+export function describeProxy(proxy, rotations = 0) {
+  if (!proxy) return null;
+  return { type: proxy.type, proxyUrl: proxy.label, sessionId: proxy.sessionId, rotations };
+}
@@ -0,0 +1,320 @@
+import * as cheerio from 'cheerio';
+
+// Readability-style main content detection: score text blocks, bubble the scores up to
+// their containers, penalize link-heavy ones, then render the winner as Markdown.
+
+const NOISE_SELECTOR = [
+  'script',
+  'style',
+  'noscript',
+  'template',
+  'iframe',
+  'svg',
+  'canvas',
+  'form',
+  'button',
+  'nav',
+  'footer',
+  'aside',
+  '[role="navigation"]',
+  '[role="banner"]',
+  '[role="contentinfo"]',
+  '[role="dialog"]',
+  '[aria-hidden="true"]',
+  '[hidden]'
+].join(',');
+
+const UNLIKELY = /banner|breadcrumb|combx|comment|community|consent|cookie|disqus|extra|footer|gdpr|header|legends|menu|modal|newsletter|outbrain|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|taboola|tool|widget|\bads?\b|advert/i;
+const LIKELY = /and|article|body|column|content|entry|hentry|main|page|post|shadow|story|text|blog/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|story|text|blog/i;
+const NEGATIVE = /banner|combx|comment|contact|footer|footnote|masthead|media|meta|modal|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|social|sponsor|tags|tool|widget|\bads?\b/i;
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'dialog', 'div', 'dl', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre',
+  'section', 'summary', 'table', 'ul', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'
+]);
+
+function normalizeText(value) {
+  if (!value) return '';
+  return String(value).replace(/\s+/g, ' ').trim();
+}
+
+function classWeight($el) {
+  const names = `${$el.attr('class') || ''} ${$el.attr('id') || ''}`;
+  let weight = 0;
+  if (POSITIVE.test(names)) weight += 25;
+  if (NEGATIVE.test(names)) weight -= 25;
+  return weight;
+}
+
+function linkDensity($, $el) {
+  const textLength = normalizeText($el.text()).length;
+  if (textLength === 0) return 0;
+  const linkLength = $el
+    .find('a')
+    .toArray()
+    .reduce((sum, a) => sum + normalizeText($(a).text()).length, 0);
+  return linkLength / textLength;
+}
+
+function stripNoise($) {
+  $(NOISE_SELECTOR).remove();
+  $('*').each((_, el) => {
+    const $el = $(el);
+    const tag = (el.tagName || '').toLowerCase();
+    if (tag === 'html' || tag === 'body' || tag === 'article' || tag === 'main') return;
+    const names = `${$el.attr('class') || ''} ${$el.attr('id') || ''}`;
+    if (UNLIKELY.test(names) && !LIKELY.test(names)) $el.remove();
+  });
+}
+
+function findTopCandidate($) {
+  const scores = new Map();
+  const addScore = (el, amount) => {
+    if (!el || el.type !== 'tag') return;
+    if (!scores.has(el)) scores.set(el, classWeight($(el)));
+    scores.set(el, scores.get(el) + amount);
+  };
+
+  $('p, pre, td, blockquote, li').each((_, el) => {
+    const text = normalizeText($(el).text());
+    if (text.length < 25) return;
+    const score = 1 + (text.match(/,/g)?.length || 0) + Math.min(3, Math.floor(text.length / 100));
+    addScore(el.parent, score);
+    addScore(el.parent?.parent, score / 2);
+  });
+
+  let top = null;
+  let topScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, $(el)));
+    if (adjusted > topScore) {
+      top = el;
+      topScore = adjusted;
+    }
+  }
+
+  // A lone <article>/<main> holding most of the best text is a safer pick than a deep div.
+  const semantic = $('article').length === 1 ? $('article') : $('main').length === 1 ? $('main') : null;
+  if (semantic && top && semantic.find(top).length) return semantic[0];
+
+  return top || $('body')[0] || null;
+}
+
+function inlineMarkdown($, node, base) {
+  if (node.type === 'text') return node.data.replace(/\s+/g, ' ');
+  if (node.type !== 'tag') return '';
+
+  const tag = node.tagName.toLowerCase();
+  const inner = () => (node.children || []).map((c) => inlineMarkdown($, c, base)).join('');
+
+  switch (tag) {
+    case 'br':
+      return '  \n';
+    case 'a': {
+      const text = normalizeText(inner());
+      const href = $(node).attr('href');
+      if (!text) return '';
+      if (!href || href.startsWith('#') || href.startsWith('javascript:')) return text;
+      try {
+        return `[${text}](${new URL(href, base).href})`;
+      } catch {
+        return text;
+      }
+    }
+    case 'strong':
+    case 'b': {
+      const text = normalizeText(inner());
+      return text ? `**${text}**` : '';
+    }
+    case 'em':
+    case 'i': {
+      const text = normalizeText(inner());
+      return text ? `_${text}_` : '';
+    }
+    case 'code':
+    case 'kbd':
+    case 'samp': {
+      const text = $(node).text();
+      return text ? `\`${text.replace(/`/g, '\\`')}\`` : '';
+    }
+    case 'img':
+      return '';
+    default:
+      return inner();
+  }
+}
+
+function tableMarkdown($, el, base) {
+  const rows = $(el)
+    .find('tr')
+    .toArray()
+    .map((tr) =>
+      $(tr)
+        .children('th, td')
+        .toArray()
+        .map((cell) => normalizeText(inlineMarkdown($, cell, base)).replace(/\|/g, '\\|'))
+    )
+    .filter((r) => r.length > 0);
+  if (rows.length === 0) return '';
+
+  const width = Math.max(...rows.map((r) => r.length));
+  const pad = (r) => Array.from({ length: width }, (_, i) => r[i] ?? '');
+  return [
+    `| ${pad(rows[0]).join(' | ')} |`,
+    `| ${pad([]).map(() => '---').join(' | ')} |`,
+    ...rows.slice(1).map((r) => `| ${pad(r).join(' | ')} |`)
+  ].join('\n');
+}
+
+function listMarkdown($, el, base, depth) {
+  const ordered = el.tagName.toLowerCase() === 'ol';
+  const indent = '  '.repeat(depth);
+  const lines = [];
+
+  $(el)
+    .children('li')
+    .each((i, li) => {
+      const inlineParts = [];
+      const nested = [];
+      for (const child of li.children || []) {
+        const childTag = child.type === 'tag' ? child.tagName.toLowerCase() : '';
+        if (childTag === 'ul' || childTag === 'ol') nested.push(listMarkdown($, child, base, depth + 1));
+        else inlineParts.push(inlineMarkdown($, child, base));
+      }
+      const text = normalizeText(inlineParts.join(''));
+      if (text) lines.push(`${indent}${ordered ? `${i + 1}.` : '-'} ${text}`);
+      lines.push(...nested.filter(Boolean));
+    });
+
+  return lines.join('\n');
+}
+
+function blockMarkdown($, node, base, out) {
+  if (node.type === 'text') {
+    const text = normalizeText(node.data);
+    if (text) out.push(text);
+    return;
+  }
+  if (node.type !== 'tag') return;
+
+  const tag = node.tagName.toLowerCase();
+
+  if (/^h[1-6]$/.test(tag)) {
+    const text = normalizeText(inlineMarkdown($, node, base));
+    if (text) out.push(`${'#'.repeat(Number(tag[1]))} ${text}`);
+    return;
+  }
+  if (tag === 'pre') {
+    const code = $(node).text().replace(/\n+$/, '');
+    const lang = ($(node).find('code').attr('class') || $(node).attr('class') || '').match(/(?:language|lang)-([\w+#-]+)/)?.[1] || '';
+    if (code.trim()) out.push(`\`\`\`${lang}\n${code}\n\`\`\``);
+    return;
+  }
+  if (tag === 'ul' || tag === 'ol') {
+    const md = listMarkdown($, node, base, 0);
+    if (md) out.push(md);
+    return;
+  }
+  if (tag === 'table') {
+    const md = tableMarkdown($, node, base);
+    if (md) out.push(md);
+    return;
+  }
+  if (tag === 'blockquote') {
+    const inner = [];
+    for (const child of node.children || []) blockMarkdown($, child, base, inner);
+    const text = inner.join('\n\n');
+    if (text) out.push(text.split('\n').map((l) => `> ${l}`).join('\n'));
+    return;
+  }
+  if (tag === 'hr') {
+    out.push('---');
+    return;
+  }
+
+  // Containers with block children recurse; anything else is a run of inline content.
+  const hasBlockChild = (node.children || []).some(
+    (c) => c.type === 'tag' && BLOCK_TAGS.has(c.tagName.toLowerCase())
+  );
+  if (hasBlockChild) {
+    let inlineRun = [];
+    const flushInline = () => {
+      const text = normalizeText(inlineRun.map((c) => inlineMarkdown($, c, base)).join(''));
+      if (text) out.push(text);
+      inlineRun = [];
+    };
+    for (const child of node.children || []) {
+      if (child.type === 'tag' && BLOCK_TAGS.has(child.tagName.toLowerCase())) {
+        flushInline();
+        blockMarkdown($, child, base, out);
+      } else {
+        inlineRun.push(child);
+      }
+    }
+    flushInline();
+    return;
+  }
+
+  const text = inlineMarkdown($, node, base)
+    .split('\n')
+    .map((l) => l.replace(/[ \t]+/g, ' ').trim())
+    .join('  \n')
+    .trim();
+  if (text) out.push(text);
+}
+
+function findByline($) {
+  const fromMeta =
+    $('meta[name="author"]').attr('content') ||
+    $('meta[property="article:author"]').attr('content') ||
+    $('meta[name="twitter:creator"]').attr('content');
+  if (normalizeText(fromMeta) && !/^https?:/i.test(fromMeta)) return normalizeText(fromMeta);
+
+  const candidate = $('[rel="author"], [itemprop="author"], .byline, .author, .post-author, [class*="byline"]')
+    .toArray()
+    .map((el) => normalizeText($(el).text()))
+    .find((t) => t && t.length < 100);
+  return candidate ? candidate.replace(/^by\s+/i, '') : null;
+}
+
+function findPublishedDate($) {
+  const raw =
+    $('meta[property="article:published_time"]').attr('content') ||
+    $('meta[itemprop="datePublished"]').attr('content') ||
+    $('meta[name="date"]').attr('content') ||
+    $('meta[name="pubdate"]').attr('content') ||
+    $('meta[name="publish-date"]').attr('content') ||
+    $('[itemprop="datePublished"]').attr('datetime') ||
+    $('time[datetime]').first().attr('datetime');
+  if (!raw) return null;
+  const ts = Date.parse(raw);
+  return Number.isNaN(ts) ? null : new Date(ts).toISOString();
+}
+
+export function countWords(text) {
+  return (String(text || '').match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || []).length;
+}
+
+export function extractMainContent(html, url) {
+  const $ = cheerio.load(html);
+
+  // Byline and date often live in the header/meta we're about to strip.
+  const byline = findByline($);
+  const publishedAt = findPublishedDate($);
+
+  stripNoise($);
+  const top = findTopCandidate($);
+
+  const blocks = [];
+  if (top) blockMarkdown($, top, url, blocks);
+  const markdown = blocks.join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+
+  return {
+    mainContent: markdown,
+    byline,
+    publishedAt,
+    wordCount: countWords(markdown.replace(/\]\([^)]*\)/g, ']'))
+  };
+}
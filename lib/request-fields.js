@@ -0,0 +1,123 @@
+// What callers of the HTTP entry points (the API server and the Next.js `POST` handler) may put in a
+// request body. Everything else (LLM endpoint and keys, proxies, credentials, sessions, network policy,
+// politeness, resource limits) stays as the operator configured it, so a caller can't redirect the
+// operator's keys or cookies to a host of their choosing. An allow-list, so new input fields stay
+// operator-only until they are added here.
+
+const REQUEST_FIELDS = new Set([
+  'url',
+  'urls',
+  'maxConcurrency',
+  'prompt',
+  'outputSchema',
+  'outputSchemaRetries',
+  'summaryChunkTokens',
+  'summaryTokenBudget',
+  'extractors',
+  'mode',
+  'waitForSelector',
+  'waitForSelectorTimeoutMs',
+  'blockMarkers',
+  'useDefaultBlockMarkers',
+  'fallbackMinTextLength',
+  'fallbackThinTextLength',
+  'fallbackMinParagraphs',
+  'fallbackMinLinks',
+  'retryMaxAttempts',
+  'retryBaseDelayMs',
+  'retryMaxDelayMs',
+  'rawHtml',
+  'rawHtmlMaxChars',
+  'maxTables',
+  'maxTableRows',
+  'maxTableCols',
+  'maxLists',
+  'maxListItems',
+  'maxUniqueComponents',
+  'maxImages',
+  'maxLinks',
+  'actions',
+  'screenshot',
+  'screenshotFormat',
+  'screenshotQuality',
+  'screenshotSelector',
+  'capturePdf',
+  'pdfFormat',
+  'userAgent'
+]);
+
+function positiveIntOr(value, fallback) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// Values that don't parse are left alone; the scraper falls back to its defaults for those.
+function capAt(value, max) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n > max ? max : value;
+}
+
+/**
+ * Ceilings on the request fields that decide how long one request may hold a browser and a server slot.
+ * Options first (the API server), then the `MAX_*` env vars.
+ */
+export function resolveRequestCaps(options = {}) {
+  const env = process.env;
+  return {
+    waitForSelectorTimeoutMs: positiveIntOr(
+      options.maxWaitForSelectorTimeoutMs ?? env.MAX_WAIT_FOR_SELECTOR_TIMEOUT_MS,
+      30000
+    ),
+    retryMaxAttempts: positiveIntOr(options.maxRetryAttempts ?? env.MAX_RETRY_ATTEMPTS, 5),
+    retryDelayMs: positiveIntOr(options.maxRetryDelayMs ?? env.MAX_RETRY_DELAY_MS, 30000),
+    actions: positiveIntOr(options.maxActions ?? env.MAX_ACTIONS, 20),
+    actionTimeoutMs: positiveIntOr(options.maxActionTimeoutMs ?? env.MAX_ACTION_TIMEOUT_MS, 30000),
+    // `maxScrolls` of scrollToBottom, `maxPages` of paginate.
+    actionRepeats: positiveIntOr(options.maxActionRepeats ?? env.MAX_ACTION_REPEATS, 20)
+  };
+}
+
+function capActions(actions, caps) {
+  if (!Array.isArray(actions)) return actions;
+  if (actions.length > caps.actions) {
+    const err = new Error('TOO_MANY_ACTIONS');
+    err.statusCode = 400;
+    err.publicPayload = {
+      error: 'Invalid input',
+      errorType: 'TOO_MANY_ACTIONS',
+      message: `At most ${caps.actions} actions per request.`
+    };
+    throw err;
+  }
+  return actions.map((step) => {
+    if (!step || typeof step !== 'object') return step;
+    const capped = { ...step };
+    for (const field of ['timeoutMs', 'ms', 'delayMs']) {
+      if (field in capped) capped[field] = capAt(capped[field], caps.actionTimeoutMs);
+    }
+    for (const field of ['maxScrolls', 'maxPages']) {
+      if (field in capped) capped[field] = capAt(capped[field], caps.actionRepeats);
+    }
+    return capped;
+  });
+}
+
+/**
+ * Keeps the allowed fields of a request body and caps the ones that stretch how long it runs
+ * (`waitForSelectorTimeoutMs`, the `retry*` settings, `actions`), so one request can't hold a browser
+ * indefinitely. Too many actions is a 400 instead of a silently shorter script.
+ */
+export function pickRequestFields(body, caps = resolveRequestCaps()) {
+  const input = Object.fromEntries(Object.entries(body || {}).filter(([key]) => REQUEST_FIELDS.has(key)));
+  const limits = {
+    waitForSelectorTimeoutMs: caps.waitForSelectorTimeoutMs,
+    retryMaxAttempts: caps.retryMaxAttempts,
+    retryBaseDelayMs: caps.retryDelayMs,
+    retryMaxDelayMs: caps.retryDelayMs
+  };
+  for (const [field, max] of Object.entries(limits)) {
+    if (field in input) input[field] = capAt(input[field], max);
+  }
+  if ('actions' in input) input.actions = capActions(input.actions, caps);
+  return input;
+}
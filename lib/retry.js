@@ -0,0 +1,168 @@
+// Retries for transient failures (network blips, 429/5xx, timeouts, a Chromium launch hiccup).
+// Every error is sorted into a class; only the retryable ones are tried again, with exponential
+// backoff plus jitter, or after the server's `Retry-After` when it sends one.
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 30000;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const DNS_CODES = new Set(['ENOTFOUND', 'EAI_AGAIN', 'EAI_FAIL', 'EAI_NONAME']);
+const NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'EPIPE',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ENETDOWN',
+  'ERR_SOCKET_CONNECTION_TIMEOUT',
+  'ERR_STREAM_PREMATURE_CLOSE'
+]);
+const TLS_CODE = /^(?:CERT_|ERR_TLS_|ERR_SSL_|UNABLE_TO_|DEPTH_ZERO_|SELF_SIGNED_|EPROTO$)/;
+
+// What the page itself answered; trying again would get the same answer.
+const PAGE_ERRORS =
+  /^(?:JAVASCRIPT_RENDERED|BLOCKED_OR_EMPTY|LOGIN_OR_BLOCKED|LOGIN_STEP_FAILED|ACTION_FAILED|UNSUPPORTED_CONTENT_TYPE|RESPONSE_TOO_LARGE|URL_NOT_ALLOWED|RUN_BUDGET_EXCEEDED)/;
+
+function positiveIntOr(value, fallback) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export function normalizeRetryPolicy(input = {}) {
+  const baseDelayMs = positiveIntOr(input.retryBaseDelayMs, DEFAULT_BASE_DELAY_MS);
+  return {
+    maxAttempts: positiveIntOr(input.retryMaxAttempts, DEFAULT_MAX_ATTEMPTS),
+    baseDelayMs,
+    maxDelayMs: Math.max(baseDelayMs, positiveIntOr(input.retryMaxDelayMs, DEFAULT_MAX_DELAY_MS))
+  };
+}
+
+function statusOf(err) {
+  return err?.httpStatus ?? err?.response?.status ?? null;
+}
+
+/**
+ * Sorts an error from either scrape path into `{ errorClass, retryable, status? }`.
+ * Classes: dns, tls, timeout, network, rate_limited, server, client, blocked, page, browser, unknown.
+ */
+export function classifyError(err) {
+  const message = String(err?.message || '');
+  const code = String(err?.code || '');
+  const status = statusOf(err);
+
+  if (status === 429) return { errorClass: 'rate_limited', retryable: true, status };
+  if (status === 408) return { errorClass: 'timeout', retryable: true, status };
+  // 501 and 505 mean "this server never supports that"; other 5xx are usually temporary.
+  if (status >= 500) return { errorClass: 'server', retryable: status !== 501 && status !== 505, status };
+  if (status >= 400) return { errorClass: 'client', retryable: false, status };
+
+  if (/^(?:JAVASCRIPT_RENDERED|BLOCKED_OR_EMPTY)$/.test(message)) return { errorClass: 'blocked', retryable: false };
+  if (PAGE_ERRORS.test(message)) return { errorClass: 'page', retryable: false };
+
+  // EAI_AGAIN is a resolver hiccup; the others mean the name does not exist.
+  if (DNS_CODES.has(code) || /net::ERR_NAME_(?:NOT_RESOLVED|RESOLUTION_FAILED)/.test(message)) {
+    return { errorClass: 'dns', retryable: code === 'EAI_AGAIN' };
+  }
+  if (TLS_CODE.test(code) || /net::ERR_(?:CERT_|SSL_)/.test(message)) return { errorClass: 'tls', retryable: false };
+
+  if (
+    code === 'ECONNABORTED' ||
+    code === 'ETIMEDOUT' ||
+    err?.name === 'TimeoutError' ||
+    /TIMEOUT|timed? ?out|net::ERR_TIMED_OUT/i.test(message)
+  ) {
+    return { errorClass: 'timeout', retryable: true };
+  }
+  if (
+    NETWORK_CODES.has(code) ||
+    /socket hang up|net::ERR_(?:CONNECTION_|NETWORK_|EMPTY_RESPONSE|INTERNET_DISCONNECTED|ADDRESS_UNREACHABLE)/.test(message)
+  ) {
+    return { errorClass: 'network', retryable: true };
+  }
+  if (/Failed to launch|Target closed|Session closed|Protocol error|browser has disconnected|Browser closed/i.test(message)) {
+    return { errorClass: 'browser', retryable: true };
+  }
+
+  return { errorClass: 'unknown', retryable: false };
+}
+
+// `Retry-After` is either a number of seconds or an HTTP date.
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Exponential backoff with "equal jitter": half the step is fixed, half is random.
+function backoffMs(attempt, policy) {
+  const step = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(step / 2 + Math.random() * (step / 2));
+}
+
+/**
+ * Runs `task(attempt)` until it succeeds, fails with a non-retryable error, or runs out of attempts.
+ * Each failed attempt is appended to `history` (shared across paths so the error payload shows the
+ * whole story). `onRetry(err, info)` runs before the wait, e.g. to rotate the proxy.
+ */
+export async function withRetry(task, policy, { method, history = [], onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (err) {
+      const { errorClass, retryable, status } = classifyError(err);
+      const willRetry = retryable && attempt < policy.maxAttempts;
+      const retryAfterMs = parseRetryAfter(err?.retryAfter ?? err?.response?.headers?.['retry-after']);
+      const delayMs = willRetry
+        ? Math.min(policy.maxDelayMs, retryAfterMs ?? backoffMs(attempt, policy))
+        : null;
+
+      history.push({
+        method,
+        attempt,
+        error: err?.message || 'Unknown error',
+        errorClass,
+        retryable,
+        ...(status ? { status } : {}),
+        ...(delayMs !== null ? { retryInMs: delayMs } : {}),
+        at: new Date().toISOString()
+      });
+      if (!willRetry) throw err;
+
+      console.warn('[WARN] Retrying after error:', { method, attempt, error: err?.message, errorClass, delayMs });
+      if (onRetry) await onRetry(err, { attempt, errorClass });
+      await delay(delayMs);
+    }
+  }
+}
+
+// Failures that ended on a network or HTTP-level error after retries, keyed by error class.
+export const RETRY_FAILURES = {
+  dns: ['DNS_ERROR', '⚠️ The domain name could not be resolved. Check the URL.'],
+  tls: ['TLS_ERROR', '⚠️ The secure connection failed (invalid or untrusted TLS certificate).'],
+  rate_limited: [
+    'RATE_LIMITED',
+    '⚠️ The site kept answering 429 Too Many Requests. Lower the concurrency or raise `domainMinDelayMs`.'
+  ],
+  server: ['SERVER_ERROR', '⚠️ The site kept answering with a server error (5xx).'],
+  client: ['HTTP_ERROR', '⚠️ The site answered with an HTTP error (e.g. 404 Not Found or 410 Gone).'],
+  network: ['NETWORK_ERROR', '⚠️ The connection to the site kept failing (reset, refused or unreachable).']
+};
+
+/**
+ * `[errorType, message]` from the `attempts` history when a path gave up on a network or HTTP-level
+ * error, else null. The browser's own failure of that kind wins. Otherwise HTTP retries that ran out on
+ * 5xx, 429 or a broken connection explain the run better than what the browser then made of the same
+ * server (usually its error page, "blocked or empty"); a 401/403 the browser also failed on stays blocked.
+ */
+export function describeRetryFailure(attempts = []) {
+  const lastOf = (method) => attempts.findLast((a) => a.method === method);
+  const browser = lastOf('BROWSER');
+  if (RETRY_FAILURES[browser?.errorClass]) return RETRY_FAILURES[browser.errorClass];
+  const http = lastOf('HTTP');
+  if (!http || (browser && http.errorClass === 'client')) return null;
+  return RETRY_FAILURES[http.errorClass] || null;
+}
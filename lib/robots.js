@@ -0,0 +1,157 @@
+import axios from 'axios';
+import { createProxyAgents } from './proxy.js';
+import { createNetworkPolicy } from './network-policy.js';
+
+// robots.txt support following RFC 9309: the group for our user agent (else `*`) applies, the
+// longest matching rule wins (Allow on ties), and an unreachable robots.txt means "disallow all".
+
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+const ROBOTS_TIMEOUT_MS = 10000;
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+export const DEFAULT_ROBOTS_USER_AGENT = 'web-scraper-ai';
+
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group of rules.
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelaySec: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else if (!current) {
+      continue;
+    } else if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything, so it adds no rule.
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = Number.parseFloat(value);
+      if (Number.isFinite(seconds) && seconds >= 0) current.crawlDelaySec = seconds;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+// Groups naming our product token win over `*`; several groups for one agent are merged.
+function selectGroups(groups, userAgent) {
+  const token = userAgent.toLowerCase();
+  const own = groups.filter((g) => g.agents.includes(token));
+  return own.length ? own : groups.filter((g) => g.agents.includes('*'));
+}
+
+function ruleToRegExp(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+function normalizePath(path) {
+  // Compare percent-encoded forms so `/caf%C3%A9` and `/café` match the same rule.
+  try {
+    return encodeURI(decodeURI(path));
+  } catch {
+    return path;
+  }
+}
+
+export function evaluateRobots(parsed, url, userAgent = DEFAULT_ROBOTS_USER_AGENT) {
+  const target = new URL(url);
+  const path = normalizePath(`${target.pathname}${target.search}`);
+  const groups = selectGroups(parsed.groups, userAgent);
+
+  let winner = null;
+  for (const rule of groups.flatMap((g) => g.rules)) {
+    if (!ruleToRegExp(normalizePath(rule.path)).test(path)) continue;
+    const longer = !winner || rule.path.length > winner.path.length;
+    const allowOnTie = winner && rule.path.length === winner.path.length && rule.allow && !winner.allow;
+    if (longer || allowOnTie) winner = rule;
+  }
+
+  const delays = groups.map((g) => g.crawlDelaySec).filter((d) => d != null);
+  return {
+    allowed: winner ? winner.allow : true,
+    rule: winner ? `${winner.allow ? 'Allow' : 'Disallow'}: ${winner.path}` : null,
+    crawlDelayMs: delays.length ? Math.max(...delays) * 1000 : 0
+  };
+}
+
+// Fetches robots.txt once per origin (per run) and answers "may this URL be fetched?".
+// Returns null when the input opts out with `respectRobotsTxt: false`.
+export function createRobotsChecker(input) {
+  if (input?.respectRobotsTxt === false) return null;
+  const robotsUserAgent = String(input?.robotsUserAgent || DEFAULT_ROBOTS_USER_AGENT).trim();
+  const userAgent = input?.userAgent || robotsUserAgent;
+  const byOrigin = new Map();
+  const network = createNetworkPolicy(input);
+
+  async function load(origin, proxy) {
+    const robotsUrl = `${origin}/robots.txt`;
+    try {
+      const res = await axios.get(robotsUrl, {
+        headers: { 'User-Agent': userAgent },
+        timeout: ROBOTS_TIMEOUT_MS,
+        maxRedirects: 5,
+        maxContentLength: MAX_ROBOTS_BYTES,
+        responseType: 'text',
+        ...createProxyAgents(proxy),
+        ...network.axiosOptions,
+        validateStatus: () => true
+      });
+      if (res.status >= 200 && res.status < 300) {
+        return { robotsUrl, status: 'ok', parsed: parseRobotsTxt(res.data) };
+      }
+      // 4xx: no robots.txt, everything is allowed. 5xx: assume the site wants no crawling.
+      if (res.status < 500) {
+        return { robotsUrl, status: `missing (${res.status})`, parsed: { groups: [], sitemaps: [] } };
+      }
+      return { robotsUrl, status: `unreachable (${res.status})`, disallowAll: true };
+    } catch (err) {
+      return { robotsUrl, status: `unreachable (${err.code || err.message})`, disallowAll: true };
+    }
+  }
+
+  return {
+    async check(url, { proxy } = {}) {
+      const { origin } = new URL(url);
+      let entry = byOrigin.get(origin);
+      if (!entry || Date.now() - entry.loadedAt > ROBOTS_TTL_MS) {
+        entry = { loadedAt: Date.now(), promise: load(origin, proxy) };
+        byOrigin.set(origin, entry);
+      }
+      const robots = await entry.promise;
+
+      if (robots.disallowAll) {
+        return { allowed: false, rule: null, crawlDelayMs: 0, robotsUrl: robots.robotsUrl, status: robots.status };
+      }
+      return {
+        ...evaluateRobots(robots.parsed, url, robotsUserAgent),
+        robotsUrl: robots.robotsUrl,
+        status: robots.status,
+        sitemaps: robots.parsed.sitemaps
+      };
+    }
+  };
+}
@@ -0,0 +1,102 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+function invalidOutputSchema(message) {
+  const err = new Error('INVALID_OUTPUT_SCHEMA');
+  err.statusCode = 400;
+  err.publicPayload = { error: 'Invalid input', errorType: 'INVALID_OUTPUT_SCHEMA', message };
+  return err;
+}
+
+// Accepts the schema as an object (JSON editor) or as a JSON string (API callers).
+export function compileOutputSchema(raw) {
+  if (!raw) return null;
+
+  let schema = raw;
+  if (typeof raw === 'string') {
+    try {
+      schema = JSON.parse(raw);
+    } catch {
+      throw invalidOutputSchema('`outputSchema` is not valid JSON.');
+    }
+  }
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw invalidOutputSchema('`outputSchema` must be a JSON Schema object.');
+  }
+
+  try {
+    return { schema, validate: ajv.compile(schema) };
+  } catch (err) {
+    throw invalidOutputSchema(`\`outputSchema\` could not be compiled: ${err?.message}`);
+  }
+}
+
+// Models like to wrap JSON in prose or code fences; pull out the outermost JSON value.
+export function parseJsonReply(reply) {
+  const text = String(reply || '').trim();
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1].trim() : text;
+
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (start === -1 || end <= start) throw new Error('NO_JSON_IN_REPLY');
+    return JSON.parse(candidate.slice(start, end + 1));
+  }
+}
+
+function formatValidationErrors(errors) {
+  return (errors || []).map((e) => `${e.instancePath || '(root)'} ${e.message}`);
+}
+
+export async function extractWithSchema({ llm, compiled, prompt, content, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  const system = [
+    'You extract structured data from web page content.',
+    'Reply with a single JSON value that validates against this JSON Schema, and nothing else:',
+    JSON.stringify(compiled.schema)
+  ].join('\n');
+
+  const messages = [
+    {
+      role: 'user',
+      content: `${prompt || 'Extract the data described by the schema'}:\n\n${content}`
+    }
+  ];
+
+  let errors = [];
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const reply = await llm.complete({ system, messages });
+
+    let data;
+    try {
+      data = parseJsonReply(reply);
+    } catch {
+      errors = ['Reply was not valid JSON.'];
+    }
+
+    if (data !== undefined) {
+      if (compiled.validate(data)) {
+        return { extracted: data, extraction: { valid: true, attempts: attempt, errors: [] } };
+      }
+      errors = formatValidationErrors(compiled.validate.errors);
+    }
+
+    // Feed the problems back so the next attempt can correct itself.
+    messages.push(
+      { role: 'assistant', content: String(reply || '') },
+      {
+        role: 'user',
+        content: `Your reply did not match the schema:\n- ${errors.join('\n- ')}\nReply again with only the corrected JSON.`
+      }
+    );
+  }
+
+  return { extracted: null, extraction: { valid: false, attempts: maxAttempts, errors } };
+}
@@ -0,0 +1,244 @@
+import http from 'node:http';
+import { timingSafeEqual } from 'node:crypto';
+import { scrapeAndSummarize, createSharedBrowser } from '../route.js';
+import { runBatch, collectBatchUrls } from './batch.js';
+import { createCache, createDirectoryStore } from './cache.js';
+import { pickRequestFields, resolveRequestCaps } from './request-fields.js';
+
+// Serves the scraper over plain HTTP so other tools can call it synchronously:
+// `POST /scrape` answers with one record, `POST /batch` streams NDJSON, `GET /health` is open.
+
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+const DEFAULT_MAX_BATCH_URLS = 100;
+const RATE_WINDOW_MS = 60 * 1000;
+
+function httpError(statusCode, errorType, message, headers = {}) {
+  const err = new Error(errorType);
+  err.statusCode = statusCode;
+  err.headers = headers;
+  err.publicPayload = {
+    error: http.STATUS_CODES[statusCode] || 'Error',
+    errorType,
+    message,
+    timestamp: new Date().toISOString()
+  };
+  return err;
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Same mapping as the Next.js `POST` handler: known errors keep their status and payload.
+function sendError(res, error) {
+  if (error?.publicPayload && error?.statusCode) {
+    sendJson(res, error.statusCode, error.publicPayload, error.headers);
+    return;
+  }
+  console.error('Scrape error:', error);
+  sendJson(res, 500, {
+    error: 'Internal server error',
+    message: 'An unexpected error occurred while processing your request.',
+    timestamp: new Date().toISOString()
+  });
+}
+
+function parseList(value) {
+  if (Array.isArray(value)) return value.map((v) => String(v).trim()).filter(Boolean);
+  return String(value || '')
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function positiveIntOr(value, fallback) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// Server settings come from options first, then env vars, so the same code runs locally and in standby.
+export function resolveServerConfig(options = {}) {
+  const env = process.env;
+  return {
+    apiKeys: parseList(options.apiKeys ?? env.API_KEYS),
+    rateLimitPerMinute: positiveIntOr(
+      options.rateLimitPerMinute ?? env.RATE_LIMIT_PER_MINUTE,
+      DEFAULT_RATE_LIMIT_PER_MINUTE
+    ),
+    maxBodyBytes: positiveIntOr(options.maxBodyBytes ?? env.MAX_BODY_BYTES, DEFAULT_MAX_BODY_BYTES),
+    maxBatchUrls: positiveIntOr(options.maxBatchUrls ?? env.MAX_BATCH_URLS, DEFAULT_MAX_BATCH_URLS),
+    defaults: options.defaults || {},
+    requestCaps: resolveRequestCaps(options),
+    cache:
+      options.cache ||
+      (env.CACHE_DIR
+        ? createCache(createDirectoryStore(env.CACHE_DIR), {
+            cacheHtmlTtlHours: env.CACHE_HTML_TTL_HOURS,
+            cacheExtractionTtlHours: env.CACHE_EXTRACTION_TTL_HOURS,
+            cacheAiTtlHours: env.CACHE_AI_TTL_HOURS
+          })
+        : null)
+  };
+}
+
+function createKeyChecker(apiKeys) {
+  const keys = apiKeys.map((key) => Buffer.from(key));
+  return (candidate) => {
+    if (!candidate) return false;
+    const given = Buffer.from(candidate);
+    return keys.some((key) => key.length === given.length && timingSafeEqual(key, given));
+  };
+}
+
+function readApiKey(req) {
+  const header = req.headers.authorization || '';
+  const bearer = header.match(/^Bearer\s+(.+)$/i);
+  return bearer ? bearer[1].trim() : req.headers['x-api-key'] || null;
+}
+
+// Fixed one-minute window per API key (or per client IP when auth is off).
+function createRateLimiter(limit) {
+  const windows = new Map();
+  return (id) => {
+    const now = Date.now();
+    if (windows.size > 10000) {
+      for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key);
+    }
+    let w = windows.get(id);
+    if (!w || w.resetAt <= now) {
+      w = { count: 0, resetAt: now + RATE_WINDOW_MS };
+      windows.set(id, w);
+    }
+    w.count++;
+    return {
+      allowed: w.count <= limit,
+      remaining: Math.max(0, limit - w.count),
+      retryAfterSec: Math.ceil((w.resetAt - now) / 1000)
+    };
+  };
+}
+
+async function readJsonBody(req, maxBodyBytes) {
+  const declared = Number.parseInt(req.headers['content-length'], 10);
+  if (Number.isFinite(declared) && declared > maxBodyBytes) {
+    throw httpError(413, 'PAYLOAD_TOO_LARGE', `Request body must be at most ${maxBodyBytes} bytes.`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBodyBytes) {
+      throw httpError(413, 'PAYLOAD_TOO_LARGE', `Request body must be at most ${maxBodyBytes} bytes.`);
+    }
+    chunks.push(chunk);
+  }
+
+  const raw = Buffer.concat(chunks).toString('utf8');
+  if (!raw.trim()) return {};
+  try {
+    const body = JSON.parse(raw);
+    if (body && typeof body === 'object' && !Array.isArray(body)) return body;
+  } catch {
+    // Fall through to the 400 below.
+  }
+  throw httpError(400, 'INVALID_JSON', 'Request body must be a JSON object.');
+}
+
+async function handleBatch(res, input, { sharedBrowser, cache, maxBatchUrls }) {
+  const urls = collectBatchUrls(input);
+  if (urls.length === 0) throw httpError(400, 'URL_REQUIRED', 'Provide `urls` (and/or `url`).');
+  if (urls.length > maxBatchUrls) {
+    throw httpError(400, 'TOO_MANY_URLS', `A batch can have at most ${maxBatchUrls} URLs.`);
+  }
+
+  // One JSON object per line as soon as each page finishes; the last line is the batch summary.
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson; charset=utf-8', 'Cache-Control': 'no-cache' });
+  const writeLine = (type, data) => {
+    if (!res.writableEnded) res.write(`${JSON.stringify({ type, data })}\n`);
+  };
+
+  try {
+    const summary = await runBatch(input, {
+      sharedBrowser,
+      cache,
+      onResult: (record) => writeLine('result', record)
+    });
+    writeLine('summary', summary);
+  } catch (err) {
+    writeLine('error', err?.publicPayload || { error: 'Internal server error', message: err?.message });
+  }
+  res.end();
+}
+
+export function createApiServer(options = {}) {
+  const config = resolveServerConfig(options);
+  const isValidKey = createKeyChecker(config.apiKeys);
+  const checkRate = createRateLimiter(config.rateLimitPerMinute);
+  const sharedBrowser = createSharedBrowser();
+
+  if (config.apiKeys.length === 0) {
+    console.warn('[WARN] No API keys configured (API_KEYS); anyone who can reach the server can scrape.');
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      let pathname;
+      try {
+        ({ pathname } = new URL(req.url, 'http://localhost'));
+      } catch {
+        throw httpError(400, 'BAD_REQUEST', 'The request target is not a valid URL path.');
+      }
+
+      // Apify standby probes `/` to check that the container is up.
+      if (req.method === 'GET' && (pathname === '/health' || req.headers['x-apify-container-server-readiness-probe'])) {
+        sendJson(res, 200, { status: 'ok', uptimeSec: Math.round(process.uptime()) });
+        return;
+      }
+
+      const route = { '/scrape': 'scrape', '/batch': 'batch' }[pathname];
+      if (!route) throw httpError(404, 'NOT_FOUND', `No route for ${pathname}.`);
+      if (req.method !== 'POST') throw httpError(405, 'METHOD_NOT_ALLOWED', 'Use POST.', { Allow: 'POST' });
+
+      let clientId = req.socket.remoteAddress || 'unknown';
+      if (config.apiKeys.length > 0) {
+        const apiKey = readApiKey(req);
+        if (!isValidKey(apiKey)) {
+          throw httpError(401, 'UNAUTHORIZED', 'Send a valid API key as `Authorization: Bearer <key>` or `X-API-Key`.');
+        }
+        clientId = `key:${apiKey}`;
+      }
+
+      const rate = checkRate(clientId);
+      res.setHeader('X-RateLimit-Limit', String(config.rateLimitPerMinute));
+      res.setHeader('X-RateLimit-Remaining', String(rate.remaining));
+      if (!rate.allowed) {
+        throw httpError(429, 'RATE_LIMITED', `Rate limit of ${config.rateLimitPerMinute} requests per minute exceeded.`, {
+          'Retry-After': String(rate.retryAfterSec)
+        });
+      }
+
+      // Allowed request fields override the server-wide defaults (e.g. the Actor input in standby mode).
+      const input = { ...config.defaults, ...pickRequestFields(await readJsonBody(req, config.maxBodyBytes), config.requestCaps) };
+
+      if (route === 'batch') {
+        await handleBatch(res, input, { sharedBrowser, cache: config.cache, maxBatchUrls: config.maxBatchUrls });
+        return;
+      }
+      sendJson(res, 200, await scrapeAndSummarize(input, { sharedBrowser, cache: config.cache }));
+    } catch (error) {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      sendError(res, error);
+    }
+  });
+
+  server.on('close', () => {
+    sharedBrowser.close();
+  });
+  return server;
+}
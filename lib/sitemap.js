@@ -0,0 +1,225 @@
+import { gunzipSync } from 'node:zlib';
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { createProxyRotator, createProxyAgents } from './proxy.js';
+import { createMemorySessionStore } from './auth.js';
+import { parseRobotsTxt } from './robots.js';
+import { createNetworkPolicy } from './network-policy.js';
+import { normalizeUrl, createUrlScope } from './crawl.js';
+import { runBatch } from './batch.js';
+import { createRunBudget } from './limits.js';
+
+// Sitemap mode: collect page URLs from sitemaps (index files, .gz, robots.txt `Sitemap:` lines),
+// filter them, then scrape them like a batch. Records keep `lastmod`, `changefreq` and `priority`.
+
+const DEFAULT_MAX_PAGES = 50;
+const MAX_SITEMAPS = 50;
+const MAX_INDEX_DEPTH = 3;
+const FETCH_TIMEOUT_MS = 20000;
+// The sitemap protocol caps files at 50 MB uncompressed.
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+function invalidSitemapInput(errorType, message) {
+  const err = new Error(errorType);
+  err.statusCode = 400;
+  err.publicPayload = { error: 'Invalid input', errorType, message };
+  return err;
+}
+
+function parseDateBound(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw invalidSitemapInput('INVALID_DATE', `${name} must be a date like 2024-01-31 or an ISO timestamp.`);
+  }
+  return time;
+}
+
+function looksLikeSitemap(url) {
+  const { pathname } = new URL(url);
+  return /\.xml(\.gz)?$/i.test(pathname) || /sitemap/i.test(pathname);
+}
+
+// Child sitemaps come from the site itself, so each one is checked against the network policy.
+async function fetchBody(url, proxy, network) {
+  await network.assertAllowed(url);
+  const res = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: FETCH_TIMEOUT_MS,
+    maxRedirects: 5,
+    maxContentLength: MAX_SITEMAP_BYTES,
+    ...createProxyAgents(proxy),
+    ...network.axiosOptions,
+    headers: { 'User-Agent': 'web-scraper-ai (sitemap reader)' }
+  });
+  const raw = Buffer.from(res.data);
+  // `.gz` sitemaps are served as application/gzip (no Content-Encoding), so check the magic bytes.
+  const body = raw[0] === 0x1f && raw[1] === 0x8b ? gunzipSync(raw, { maxOutputLength: MAX_SITEMAP_BYTES }) : raw;
+  return body.toString('utf8');
+}
+
+export function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const text = (el, tag) => $(el).children(tag).first().text().trim() || null;
+
+  const sitemaps = $('sitemapindex > sitemap')
+    .toArray()
+    .map((el) => text(el, 'loc'))
+    .filter(Boolean);
+
+  const urls = $('urlset > url')
+    .toArray()
+    .map((el) => {
+      const priority = Number.parseFloat(text(el, 'priority'));
+      return {
+        url: text(el, 'loc'),
+        lastmod: text(el, 'lastmod'),
+        changefreq: text(el, 'changefreq'),
+        priority: Number.isFinite(priority) ? priority : null
+      };
+    })
+    .filter((entry) => entry.url);
+
+  return { sitemaps, urls };
+}
+
+async function sitemapsFromRobots(origin, proxy, network) {
+  try {
+    await network.assertAllowed(origin);
+    const res = await axios.get(`${origin}/robots.txt`, {
+      responseType: 'text',
+      timeout: FETCH_TIMEOUT_MS,
+      ...createProxyAgents(proxy),
+      ...network.axiosOptions
+    });
+    return parseRobotsTxt(res.data).sitemaps;
+  } catch {
+    return [];
+  }
+}
+
+// Walks every sitemap reachable from the sources and returns the de-duplicated page entries.
+export async function discoverSitemapEntries(sources, { proxyRotator, network = createNetworkPolicy() } = {}) {
+  const queue = [];
+  for (const source of sources) {
+    if (looksLikeSitemap(source)) {
+      queue.push({ url: source, depth: 0 });
+      continue;
+    }
+    const { origin } = new URL(source);
+    const fromRobots = await sitemapsFromRobots(origin, proxyRotator?.getProxy(origin), network);
+    const candidates = fromRobots.length ? fromRobots : [`${origin}/sitemap.xml`];
+    queue.push(...candidates.map((url) => ({ url, depth: 0 })));
+  }
+
+  const visited = new Set();
+  const entries = new Map();
+  const errors = [];
+
+  while (queue.length > 0 && visited.size < MAX_SITEMAPS) {
+    const { url, depth } = queue.shift();
+    if (visited.has(url)) continue;
+    visited.add(url);
+
+    let parsed;
+    try {
+      parsed = parseSitemap(await fetchBody(url, proxyRotator?.getProxy(url), network));
+    } catch (err) {
+      console.error('[ERROR] Sitemap fetch failed:', { url, error: err?.message });
+      errors.push({ url, error: err?.message || 'Fetch failed' });
+      continue;
+    }
+
+    if (depth < MAX_INDEX_DEPTH) {
+      queue.push(...parsed.sitemaps.map((child) => ({ url: child, depth: depth + 1 })));
+    }
+    for (const entry of parsed.urls) {
+      const key = normalizeUrl(entry.url);
+      if (key && !entries.has(key)) entries.set(key, { ...entry, url: key, sitemap: url });
+    }
+  }
+
+  return { entries: [...entries.values()], sitemapsFetched: visited.size, errors };
+}
+
+export async function runSitemap(
+  input,
+  { onPage, sessionStore = createMemorySessionStore(), snapshotStore, cache, captureStore } = {}
+) {
+  const sources = [...new Set((Array.isArray(input.sitemapUrls) ? input.sitemapUrls : [input.sitemapUrls])
+    .map((v) => (typeof v === 'string' ? v : v?.url))
+    .map((v) => normalizeUrl(String(v || '').trim()))
+    .filter(Boolean))];
+
+  if (sources.length === 0) {
+    throw invalidSitemapInput('URL_REQUIRED', 'Sitemap mode needs at least one http(s) URL in `sitemapUrls`.');
+  }
+
+  const from = parseDateBound(input.lastmodFrom, 'lastmodFrom');
+  const to = parseDateBound(input.lastmodTo, 'lastmodTo');
+  const maxPages = Math.max(1, Number.parseInt(input.maxPages, 10) || DEFAULT_MAX_PAGES);
+  const inScope = createUrlScope({
+    seeds: sources,
+    includePatterns: input.includePatterns,
+    excludePatterns: input.excludePatterns
+  });
+
+  // Started before discovery, so reading the sitemaps counts against the run's time budget too.
+  const budget = createRunBudget(input);
+
+  console.log('[INFO] Sitemap discovery started:', { sources });
+  const { entries, sitemapsFetched, errors } = await discoverSitemapEntries(sources, {
+    proxyRotator: createProxyRotator(input),
+    network: createNetworkPolicy(input)
+  });
+
+  // With a date range, entries without `lastmod` are left out: they can't be shown to be in range.
+  const selected = entries.filter((entry) => {
+    if (!inScope(entry.url)) return false;
+    if (from === null && to === null) return true;
+    const lastmod = Date.parse(entry.lastmod);
+    if (Number.isNaN(lastmod)) return false;
+    return (from === null || lastmod >= from) && (to === null || lastmod <= to);
+  });
+  const toScrape = selected.slice(0, maxPages);
+  const byUrl = new Map(toScrape.map((entry) => [entry.url, entry]));
+
+  console.log('[INFO] Sitemap discovery finished:', {
+    sitemapsFetched,
+    urlsDiscovered: entries.length,
+    urlsSelected: selected.length,
+    urlsToScrape: toScrape.length
+  });
+
+  const { mode, ...batchStats } = await runBatch(
+    { ...input, url: undefined, urls: toScrape.map((entry) => entry.url) },
+    {
+      sessionStore,
+      snapshotStore,
+      cache,
+      captureStore,
+      budget,
+      cookieUrl: sources[0],
+      onResult: async (record) => {
+        const entry = byUrl.get(normalizeUrl(record.url)) || {};
+        const sitemapFields = {
+          lastmod: entry.lastmod ?? null,
+          changefreq: entry.changefreq ?? null,
+          priority: entry.priority ?? null,
+          sitemap: entry.sitemap ?? null
+        };
+        if (onPage) await onPage({ ...record, ...sitemapFields });
+      }
+    }
+  );
+
+  return {
+    mode: 'sitemap',
+    sitemapUrls: sources,
+    sitemapsFetched,
+    sitemapErrors: errors,
+    urlsDiscovered: entries.length,
+    urlsSelected: selected.length,
+    ...batchStats
+  };
+}
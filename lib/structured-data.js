@@ -0,0 +1,227 @@
+// Parses machine-readable metadata embedded in a page: JSON-LD, Microdata, RDFa
+// and the meta/link tags used by OpenGraph, Twitter cards and search engines.
+
+const MAX_ITEMS = 50;
+const MAX_DEPTH = 6;
+
+function normalizeText(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/\s+/g, ' ').trim();
+}
+
+function toAbsoluteUrl(value, base) {
+  if (!value) return null;
+  try {
+    return new URL(value, base).href;
+  } catch {
+    return value;
+  }
+}
+
+// Repeated keys (og:image, multiple itemprops) collect into arrays.
+function addValue(target, key, value) {
+  if (!(key in target)) {
+    target[key] = value;
+  } else if (Array.isArray(target[key])) {
+    target[key].push(value);
+  } else {
+    target[key] = [target[key], value];
+  }
+}
+
+function parseJsonLdBlock(raw) {
+  const cleaned = String(raw || '')
+    .replace(/^\s*<!--/, '')
+    .replace(/-->\s*$/, '')
+    .replace(/^\s*\/\/\s*<!\[CDATA\[/, '')
+    .replace(/\/\/\s*\]\]>\s*$/, '')
+    .trim();
+  if (!cleaned) return null;
+  return JSON.parse(cleaned);
+}
+
+function flattenJsonLd(node, context, out) {
+  if (out.length >= MAX_ITEMS || node === null || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    for (const item of node) flattenJsonLd(item, context, out);
+    return;
+  }
+
+  const ownContext = node['@context'] ?? context;
+  if (Array.isArray(node['@graph'])) {
+    for (const item of node['@graph']) flattenJsonLd(item, ownContext, out);
+    return;
+  }
+
+  out.push(ownContext && !node['@context'] ? { '@context': ownContext, ...node } : node);
+}
+
+function extractJsonLd($) {
+  const items = [];
+  let errors = 0;
+
+  $('script[type="application/ld+json"]').each((_, el) => {
+    try {
+      const parsed = parseJsonLdBlock($(el).contents().text());
+      if (parsed) flattenJsonLd(parsed, null, items);
+    } catch {
+      errors++;
+    }
+  });
+
+  return { items, errors };
+}
+
+function microdataValue($, el, base) {
+  const $el = $(el);
+  const tag = (el.tagName || '').toLowerCase();
+
+  if (tag === 'meta') return $el.attr('content') ?? '';
+  if (['audio', 'embed', 'iframe', 'img', 'source', 'track', 'video'].includes(tag)) {
+    return toAbsoluteUrl($el.attr('src'), base);
+  }
+  if (['a', 'area', 'link'].includes(tag)) return toAbsoluteUrl($el.attr('href'), base);
+  if (tag === 'object') return toAbsoluteUrl($el.attr('data'), base);
+  if (tag === 'data' || tag === 'meter') return $el.attr('value') ?? normalizeText($el.text());
+  if (tag === 'time') return $el.attr('datetime') ?? normalizeText($el.text());
+  return $el.attr('content') ?? normalizeText($el.text());
+}
+
+function readMicrodataItem($, scope, base, depth) {
+  const $scope = $(scope);
+  const item = {};
+
+  const type = normalizeText($scope.attr('itemtype'));
+  const id = normalizeText($scope.attr('itemid'));
+  if (type) item.type = type.includes(' ') ? type.split(' ') : type;
+  if (id) item.id = id;
+  item.properties = {};
+
+  $scope.find('[itemprop]').each((_, el) => {
+    // Only direct properties: skip anything that belongs to a nested item.
+    if ($(el).parent().closest('[itemscope]')[0] !== scope) return;
+
+    const value = $(el).is('[itemscope]')
+      ? depth < MAX_DEPTH
+        ? readMicrodataItem($, el, base, depth + 1)
+        : null
+      : microdataValue($, el, base);
+
+    for (const name of normalizeText($(el).attr('itemprop')).split(' ').filter(Boolean)) {
+      addValue(item.properties, name, value);
+    }
+  });
+
+  return item;
+}
+
+function extractMicrodata($, base) {
+  const items = [];
+  $('[itemscope]').each((_, el) => {
+    if (items.length >= MAX_ITEMS) return;
+    // Top-level items only; nested ones are reached through their parent's properties.
+    if ($(el).is('[itemprop]') && $(el).parent().closest('[itemscope]').length) return;
+    items.push(readMicrodataItem($, el, base, 0));
+  });
+  return items;
+}
+
+function rdfaValue($, el, base) {
+  const $el = $(el);
+  if ($el.attr('content') !== undefined) return $el.attr('content');
+  const ref = $el.attr('resource') || $el.attr('href') || $el.attr('src');
+  if (ref) return toAbsoluteUrl(ref, base);
+  return normalizeText($el.text());
+}
+
+function readRdfaItem($, scope, base, depth) {
+  const $scope = $(scope);
+  const item = {};
+
+  const type = normalizeText($scope.attr('typeof'));
+  const about = $scope.attr('about') || $scope.attr('resource');
+  const vocab = $scope.closest('[vocab]').attr('vocab');
+  if (type) item.type = type.includes(' ') ? type.split(' ') : type;
+  if (about) item.id = toAbsoluteUrl(about, base);
+  if (vocab) item.vocab = vocab;
+  item.properties = {};
+
+  $scope.find('[property]').each((_, el) => {
+    if ($(el).parent().closest('[typeof]')[0] !== scope) return;
+
+    const value = $(el).is('[typeof]')
+      ? depth < MAX_DEPTH
+        ? readRdfaItem($, el, base, depth + 1)
+        : null
+      : rdfaValue($, el, base);
+
+    for (const name of normalizeText($(el).attr('property')).split(' ').filter(Boolean)) {
+      addValue(item.properties, name, value);
+    }
+  });
+
+  return item;
+}
+
+function extractRdfa($, base) {
+  const items = [];
+  $('[typeof]').each((_, el) => {
+    if (items.length >= MAX_ITEMS) return;
+    if ($(el).is('[property]') && $(el).parent().closest('[typeof]').length) return;
+    items.push(readRdfaItem($, el, base, 0));
+  });
+  return items;
+}
+
+function extractMetaTags($) {
+  const openGraph = {};
+  const twitter = {};
+  const other = {};
+
+  $('meta').each((_, el) => {
+    const $el = $(el);
+    const key = normalizeText($el.attr('property') || $el.attr('name') || $el.attr('http-equiv'));
+    const content = $el.attr('content');
+    if (!key || content === undefined) return;
+
+    const lowerKey = key.toLowerCase();
+    if (lowerKey.startsWith('og:')) addValue(openGraph, lowerKey.slice(3), content);
+    else if (lowerKey.startsWith('twitter:')) addValue(twitter, lowerKey.slice(8), content);
+    else addValue(other, lowerKey, content);
+  });
+
+  return { openGraph, twitter, other };
+}
+
+function extractLinkTags($, base) {
+  const canonical = toAbsoluteUrl($('link[rel~="canonical"]').first().attr('href'), base);
+
+  const alternates = $('link[rel~="alternate"][hreflang]')
+    .map((_, el) => ({
+      hreflang: normalizeText($(el).attr('hreflang')),
+      href: toAbsoluteUrl($(el).attr('href'), base)
+    }))
+    .get()
+    .filter((a) => a.hreflang && a.href);
+
+  const iconHref =
+    $('link[rel~="icon"]').first().attr('href') ||
+    $('link[rel="shortcut icon"]').first().attr('href') ||
+    $('link[rel~="apple-touch-icon"]').first().attr('href') ||
+    '/favicon.ico';
+
+  return { canonical, alternates, favicon: toAbsoluteUrl(iconHref, base) };
+}
+
+export function extractStructuredData($, url) {
+  const jsonLd = extractJsonLd($);
+
+  return {
+    jsonLd: jsonLd.items,
+    jsonLdParseErrors: jsonLd.errors,
+    microdata: extractMicrodata($, url),
+    rdfa: extractRdfa($, url),
+    meta: extractMetaTags($),
+    ...extractLinkTags($, url)
+  };
+}
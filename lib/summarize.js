@@ -0,0 +1,273 @@
+// Token-aware chunking and map-reduce summarization for pages that don't fit in one prompt.
+
+// Rough heuristic that holds well enough for English prose across common tokenizers.
+const CHARS_PER_TOKEN = 4;
+const MAX_REDUCE_ROUNDS = 3;
+
+export const DEFAULT_CHUNK_TOKENS = 2000;
+export const DEFAULT_TOKEN_BUDGET = 24000;
+
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+export function truncateToTokens(text, maxTokens) {
+  return String(text || '').slice(0, maxTokens * CHARS_PER_TOKEN);
+}
+
+// Groups the ordered heading/paragraph outline into sections that each start at a heading.
+export function buildSections(outline, extraSections = []) {
+  const sections = [];
+  let current = null;
+
+  for (const block of outline || []) {
+    if (block.type === 'heading') {
+      current = { heading: block.text, level: block.level, blocks: [] };
+      sections.push(current);
+    } else if (block.text) {
+      if (!current) {
+        current = { heading: null, level: 0, blocks: [] };
+        sections.push(current);
+      }
+      current.blocks.push(block.text);
+    }
+  }
+
+  for (const extra of extraSections) {
+    if (extra?.text) sections.push({ heading: extra.heading, level: 2, blocks: [extra.text] });
+  }
+
+  return sections.filter((s) => s.blocks.length > 0);
+}
+
+// Same section shape from Markdown: `#` headings open sections, blank lines separate blocks.
+// Fenced code blocks are kept whole even when they contain blank lines.
+export function sectionsFromMarkdown(markdown, extraSections = []) {
+  const outline = [];
+  let buffer = [];
+  let inFence = false;
+
+  const flush = () => {
+    const text = buffer.join('\n').trim();
+    if (text) outline.push({ type: 'paragraph', text });
+    buffer = [];
+  };
+
+  for (const line of String(markdown || '').split('\n')) {
+    if (/^\s*```/.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      flush();
+      outline.push({ type: 'heading', level: heading[1].length, text: heading[2].trim() });
+    } else if (!inFence && line.trim() === '') {
+      flush();
+    } else {
+      buffer.push(line);
+    }
+  }
+  flush();
+
+  return buildSections(outline, extraSections);
+}
+
+// Splits on lines, then sentences, then raw characters until every piece fits.
+function splitToFit(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) return [text];
+
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const units = text.includes('\n') ? text.split('\n') : text.split(/(?<=[.!?])\s+/);
+  if (units.length === 1) {
+    const pieces = [];
+    for (let i = 0; i < text.length; i += maxChars) pieces.push(text.slice(i, i + maxChars));
+    return pieces;
+  }
+
+  const pieces = [];
+  let buffer = '';
+  for (const unit of units) {
+    for (const part of splitToFit(unit, maxTokens)) {
+      if (buffer && buffer.length + part.length + 1 > maxChars) {
+        pieces.push(buffer);
+        buffer = '';
+      }
+      buffer = buffer ? `${buffer}\n${part}` : part;
+    }
+  }
+  if (buffer) pieces.push(buffer);
+  return pieces;
+}
+
+export function chunkSections(sections, maxTokens) {
+  const chunks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current?.parts.length) {
+      const text = current.parts.join('\n\n');
+      chunks.push({ text, tokens: estimateTokens(text), headings: current.headings });
+    }
+    current = null;
+  };
+
+  const append = (piece, heading) => {
+    const tokens = estimateTokens(piece) + 1;
+    if (current && current.tokens + tokens > maxTokens) flush();
+    if (!current) current = { parts: [], tokens: 0, headings: [] };
+    current.parts.push(piece);
+    current.tokens += tokens;
+    if (heading && !current.headings.includes(heading)) current.headings.push(heading);
+  };
+
+  for (const section of sections) {
+    const headingLine = section.heading ? `${'#'.repeat(Math.min(section.level || 2, 6))} ${section.heading}` : null;
+    const sectionText = [headingLine, ...section.blocks].filter(Boolean).join('\n');
+
+    // Whole sections stay together whenever they fit; otherwise fall back to paragraph boundaries.
+    if (estimateTokens(sectionText) <= maxTokens) {
+      append(sectionText, section.heading);
+      continue;
+    }
+
+    const blocks = headingLine ? [`${headingLine}\n${section.blocks[0]}`, ...section.blocks.slice(1)] : section.blocks;
+    for (const block of blocks) {
+      for (const piece of splitToFit(block, maxTokens)) append(piece, section.heading);
+    }
+  }
+
+  flush();
+  return chunks;
+}
+
+function packNotes(notes, maxTokens) {
+  const groups = [];
+  let group = [];
+  let tokens = 0;
+  for (const note of notes) {
+    const noteTokens = estimateTokens(note);
+    if (group.length && tokens + noteTokens > maxTokens) {
+      groups.push(group);
+      group = [];
+      tokens = 0;
+    }
+    group.push(note);
+    tokens += noteTokens;
+  }
+  if (group.length) groups.push(group);
+  return groups;
+}
+
+export async function summarizeDocument({
+  llm,
+  prompt,
+  header,
+  sections,
+  chunkTokens = DEFAULT_CHUNK_TOKENS,
+  tokenBudget = DEFAULT_TOKEN_BUDGET
+}) {
+  const chunks = chunkSections(sections, chunkTokens);
+  const totalTokens = chunks.reduce((sum, c) => sum + c.tokens, 0);
+  const maxChunks = Math.max(1, Math.floor(tokenBudget / chunkTokens));
+
+  const meta = {
+    strategy: chunks.length <= 1 ? 'single' : 'map-reduce',
+    chunkTokens,
+    tokenBudget,
+    totalTokens,
+    chunks: chunks.map((c, index) => ({
+      index,
+      tokens: c.tokens,
+      headings: c.headings.slice(0, 10),
+      preview: c.text.replace(/\s+/g, ' ').slice(0, 120),
+      covered: index < maxChunks
+    }))
+  };
+
+  if (chunks.length <= 1) {
+    const summary = await llm.complete({
+      messages: [{ role: 'user', content: `${prompt}:\n\n${header}\n\n${chunks[0]?.text || ''}`.trim() }]
+    });
+    return { summary, meta };
+  }
+
+  // Map: pull out what matters for the prompt from each chunk.
+  const notes = [];
+  let lastError = null;
+  const covered = chunks.slice(0, maxChunks);
+  for (let i = 0; i < covered.length; i++) {
+    try {
+      const partial = await llm.complete({
+        messages: [
+          {
+            role: 'user',
+            content: [
+              `You are reading part ${i + 1} of ${covered.length} of a long web page.`,
+              `Write concise notes with everything in this part that is relevant to the request: "${prompt}".`,
+              'Keep facts, figures, names and conclusions. Skip navigation and boilerplate.',
+              '',
+              header,
+              '',
+              covered[i].text
+            ].join('\n')
+          }
+        ]
+      });
+      notes.push(`Part ${i + 1}${covered[i].headings.length ? ` (${covered[i].headings.slice(0, 3).join(' / ')})` : ''}:\n${partial}`);
+      meta.chunks[i].summaryChars = String(partial || '').length;
+    } catch (err) {
+      // A rate limit will hit every remaining chunk too; give up and let the caller report it.
+      if (err?.response?.status === 429) throw err;
+      lastError = err;
+      meta.chunks[i].covered = false;
+      meta.chunks[i].error = err?.message || 'AI request failed';
+    }
+  }
+
+  if (notes.length === 0) throw lastError || new Error('AI_SUMMARY_FAILED');
+
+  // Reduce: condense the notes in groups until they fit into one final prompt.
+  let combined = notes;
+  let rounds = 0;
+  while (combined.length > 1 && estimateTokens(combined.join('\n\n')) > chunkTokens && rounds < MAX_REDUCE_ROUNDS) {
+    const groups = packNotes(combined, chunkTokens);
+    if (groups.length === combined.length) break;
+    combined = [];
+    for (const group of groups) {
+      combined.push(
+        group.length === 1
+          ? group[0]
+          : await llm.complete({
+              messages: [
+                {
+                  role: 'user',
+                  content: `Merge these notes about one web page into a single set of notes, keeping everything relevant to: "${prompt}".\n\n${group.join('\n\n')}`
+                }
+              ]
+            })
+      );
+    }
+    rounds++;
+  }
+  meta.reduceRounds = rounds + 1;
+
+  const skipped = chunks.length - covered.length;
+  const summary = await llm.complete({
+    messages: [
+      {
+        role: 'user',
+        content: [
+          `${prompt}:`,
+          '',
+          `The page below was too long to read at once, so it was split into ${chunks.length} parts and each part was summarized.` +
+            (skipped > 0 ? ` The last ${skipped} part(s) were not read because of the token budget.` : ''),
+          'Use these notes as the full page content. Make sure conclusions from the later parts are included.',
+          '',
+          header,
+          '',
+          combined.join('\n\n')
+        ].join('\n')
+      }
+    ]
+  });
+
+  return { summary, meta };
+}
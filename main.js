@@ -1,19 +1,149 @@
+import { createHash } from 'node:crypto';
 import { Actor } from 'apify';
 import { scrapeAndSummarize } from './route.js';
+import { crawl } from './lib/crawl.js';
+import { runBatch, toFailureRecord } from './lib/batch.js';
+import { runSitemap } from './lib/sitemap.js';
+import { normalizeExportFormats, renderExports } from './lib/export.js';
+import { createSessionStore } from './lib/auth.js';
+import { createSnapshotStore } from './lib/monitor.js';
+import { createNotifier } from './lib/notify.js';
+import { createApiServer } from './lib/server.js';
+import { createCache, createDirectoryStore } from './lib/cache.js';
+import { createCaptureStore } from './lib/capture.js';
+import { createRunBudget } from './lib/limits.js';
+
+// Renders the requested export files next to OUTPUT and links them from the record.
+async function storeExports(record, formats, keyPrefix) {
+  if (formats.length === 0 || record.failed) return record;
+
+  try {
+    const files = await renderExports(record, formats);
+    if (files.length === 0) return record;
+
+    const store = await Actor.openKeyValueStore();
+    const exports = {};
+    for (const file of files) {
+      const key = `${keyPrefix}-${file.key}`;
+      await store.setValue(key, file.body, { contentType: file.contentType });
+      const url = store.getPublicUrl(key);
+      if (file.format === 'csv') (exports.csv ||= []).push(url);
+      else exports[file.format] = url;
+    }
+    return { ...record, exports };
+  } catch (err) {
+    console.error('[ERROR] Export failed:', { url: record.url, error: err?.message });
+    return { ...record, exportError: err?.message || 'Export failed' };
+  }
+}
+
+// Multi-page runs need a distinct, key-safe prefix per page.
+function pageKeyPrefix(url) {
+  return `PAGE-${createHash('sha1').update(String(url)).digest('hex').slice(0, 12)}`;
+}
+
+// Standby mode: keep the Actor running as an HTTP API instead of doing one scrape.
+// The Actor input provides defaults (LLM settings, proxies, ...) for every request.
+async function serveStandby(input, cache) {
+  const { url, urls, startUrls, crawl: _crawl, ...defaults } = input;
+  const server = createApiServer({ defaults, cache });
+  const port = Actor.config.get('standbyPort');
+
+  await new Promise((resolve) => server.listen(port, resolve));
+  console.log('[INFO] Standby API server listening:', { port });
+  await new Promise((resolve) => server.once('close', resolve));
+}
 
 await Actor.main(async () => {
   const input = (await Actor.getInput()) || {};
 
-  if (!input.url) {
+  // A named store (or a local directory) so cached pages and AI answers outlive the run.
+  const cache = input.cache
+    ? createCache(
+        input.cacheDir
+          ? createDirectoryStore(input.cacheDir)
+          : await Actor.openKeyValueStore(input.cacheStoreName || 'web-scraper-ai-cache'),
+        input
+      )
+    : undefined;
+
+  if (Actor.config.get('metaOrigin') === 'STANDBY') {
+    await serveStandby(input, cache);
+    return;
+  }
+
+  const hasBatchUrls = Array.isArray(input.urls) && input.urls.length > 0;
+  const hasSitemapUrls = Array.isArray(input.sitemapUrls) && input.sitemapUrls.length > 0;
+
+  if (!input.url && !hasBatchUrls && !hasSitemapUrls && !(input.crawl && input.startUrls?.length)) {
     throw new Error(
       'No INPUT was found. For local testing run: `npm run set-input -- --url https://example.com` then `npm start`.'
     );
   }
 
-  const output = await scrapeAndSummarize(input);
+  const exportFormats = normalizeExportFormats(input.exportFormats);
+  // Cookies from a scripted login are saved under `sessionKey` in a named store, so later runs reuse them.
+  const sessionStore = input.sessionKey
+    ? createSessionStore(
+        await Actor.openKeyValueStore(input.sessionStoreName || 'web-scraper-ai-sessions'),
+        input.sessionKey
+      )
+    : undefined;
+  // Snapshots live in a named store so they survive between scheduled runs.
+  const snapshotStore = input.monitor
+    ? createSnapshotStore(await Actor.openKeyValueStore(input.monitorStoreName || 'web-scraper-ai-monitor'))
+    : undefined;
+  // Screenshots, PDFs and stored raw HTML go next to OUTPUT and are linked from each record.
+  const captureStore = createCaptureStore(await Actor.openKeyValueStore());
+  // In monitoring mode only new and changed pages reach the dataset.
+  const shouldEmit = (record) => !record.change || record.change.changed || Boolean(input.monitorEmitUnchanged);
+  // Webhook / Slack / email delivery; null when none is configured.
+  const notifier = createNotifier(input);
+  const services = { sessionStore, snapshotStore, cache, captureStore };
+  const pushPage = async (record) => {
+    if (!shouldEmit(record)) return;
+    const output = await storeExports(record, exportFormats, pageKeyPrefix(record.url));
+    await Actor.pushData(output);
+    await notifier?.notify(output);
+  };
+
+  if (input.crawl) {
+    // One dataset item per crawled page; OUTPUT holds the crawl summary.
+    const summary = await crawl(input, { onPage: pushPage, ...services });
+    await Actor.setValue('OUTPUT', summary);
+    return;
+  }
+
+  if (hasSitemapUrls) {
+    // Pages come from the sitemaps instead of `url` / `urls`; OUTPUT holds the run summary.
+    const summary = await runSitemap(input, { onPage: pushPage, ...services });
+    await Actor.setValue('OUTPUT', summary);
+    return;
+  }
+
+  if (hasBatchUrls) {
+    // `url` (if set) is scraped together with `urls`; failures become their own records.
+    const summary = await runBatch(input, { onResult: pushPage, ...services });
+    await Actor.setValue('OUTPUT', summary);
+    return;
+  }
+
+  let scraped;
+  try {
+    // One URL gets the run budget too: its page is cut off when the time is up, not just never started.
+    scraped = await scrapeAndSummarize(input, { ...services, budget: createRunBudget(input) });
+  } catch (err) {
+    // Alert first, then let the run fail as before.
+    await notifier?.notify(toFailureRecord(input.url, err));
+    throw err;
+  }
+  const output = await storeExports(scraped, exportFormats, 'OUTPUT');
 
   // Store results in the default dataset (most common Actor output).
-  await Actor.pushData(output);
+  if (shouldEmit(output)) {
+    await Actor.pushData(output);
+    await notifier?.notify(output);
+  }
   // Also store a single object to KV store for easy retrieval.
   await Actor.setValue('OUTPUT', output);
 });
@@ -2,25 +2,104 @@ import axios from 'axios';
 import * as cheerio from 'cheerio';
 import puppeteer from 'puppeteer-core';
 import chromium from '@sparticuz/chromium';
+import { normalizeExtractors, runExtractors } from './lib/extractors.js';
+import { extractStructuredData } from './lib/structured-data.js';
+import { extractMainContent } from './lib/readability.js';
+import { createProxyRotator, createProxyAgents, describeProxy } from './lib/proxy.js';
+import {
+  resolveAuth,
+  hasAuth,
+  cookieHeader,
+  cookiesForUrl,
+  bindHostOnlyCookies,
+  toBrowserCookies,
+  runLoginSteps,
+  isSessionFresh,
+  mergeCookies
+} from './lib/auth.js';
+import { normalizeActions, runActions, mergeExtractions, actionsTimeoutMs } from './lib/actions.js';
+import { compareSnapshots, createSnapshot, formatDiffForPrompt } from './lib/monitor.js';
+import { hashContent } from './lib/cache.js';
+import { createRobotsChecker } from './lib/robots.js';
+import { createDomainLimiter } from './lib/domain-limiter.js';
+import { detectTechnologies, readJsGlobals, signalsFromHeaders } from './lib/fingerprint.js';
+import { normalizeScrapePolicy, checkPage } from './lib/fallback.js';
+import { classifyError, describeRetryFailure, normalizeRetryPolicy, withRetry } from './lib/retry.js';
+import { sniffContentKind, decodeBody, extractDocument } from './lib/documents.js';
+import {
+  normalizeLimits,
+  readBodyCapped,
+  capHtml,
+  outputRawHtml,
+  DEFAULT_EXTRACTION_LIMITS
+} from './lib/limits.js';
+import { createNetworkPolicy, isUrlNotAllowed, urlNotAllowed } from './lib/network-policy.js';
+import { pickRequestFields } from './lib/request-fields.js';
+import { normalizeCaptureOptions, takeCaptures, describeCaptures } from './lib/capture.js';
+import { resolveLlmConfig, createLlmClient } from './lib/llm.js';
+import { compileOutputSchema, extractWithSchema } from './lib/schema-extraction.js';
+import {
+  DEFAULT_CHUNK_TOKENS,
+  DEFAULT_TOKEN_BUDGET,
+  buildSections,
+  sectionsFromMarkdown,
+  summarizeDocument,
+  truncateToTokens
+} from './lib/summarize.js';
 
 export const runtime = 'nodejs';
 export const maxDuration = 60;
 
 const OVERALL_TIMEOUT_MS = 25000;
+// Extra browser time when a scripted login has to run before the target page.
+const LOGIN_TIMEOUT_MS = 30000;
 
-const MAX_TABLES = 10;
-const MAX_TABLE_ROWS = 50;
-const MAX_TABLE_COLS = 20;
-const MAX_LISTS = 30;
-const MAX_LIST_ITEMS = 60;
-const MAX_UNIQUE_COMPONENTS = 80;
+const MIN_MAIN_CONTENT_WORDS = 30;
+// Extra browser time for scrolling through the page and taking screenshots / the PDF.
+const CAPTURE_TIMEOUT_MS = 20000;
+// How long a timed-out attempt gets to close its page or request before the retry starts anyway.
+const ABORT_GRACE_MS = 5000;
+const MAX_REDIRECTS = 5;
 
-function withTimeout(promise, ms, errorMessage) {
+// HTTP-path failures that mean "this IP got blocked", so the next attempt should use a new proxy.
+const PROXY_BLOCK_SIGNALS = new Set(['JAVASCRIPT_RENDERED', 'HTTP_ERROR_403', 'HTTP_ERROR_429']);
+
+const DEFAULT_USER_AGENT =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// HTTP failures a browser would only repeat: the host doesn't resolve, its certificate is bad, or the
+// page isn't there (404, 410, ...). 401 and 403 still fall back, since bot walls answer with those.
+function isFatalHttpError(err) {
+  const { errorClass, status } = classifyError(err);
+  return errorClass === 'dns' || errorClass === 'tls' || (errorClass === 'client' && status !== 401 && status !== 403);
+}
+
+// Runs `task(signal)` with a deadline. On timeout the signal aborts so the task tears down what it
+// opened, and the rejection waits for that (up to ABORT_GRACE_MS): a retry never runs next to it.
+async function withTimeout(task, ms, errorMessage) {
+  const controller = new AbortController();
+  const running = task(controller.signal);
+  const timedOut = Symbol('timedOut');
   let timer;
-  const timeoutPromise = new Promise((_, reject) => {
-    timer = setTimeout(() => reject(new Error(errorMessage)), ms);
-  });
-  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+  try {
+    const deadline = new Promise((resolve) => {
+      timer = setTimeout(resolve, ms, timedOut);
+    });
+    const result = await Promise.race([running, deadline]);
+    if (result !== timedOut) return result;
+  } finally {
+    clearTimeout(timer);
+  }
+  controller.abort(new Error(errorMessage));
+  await Promise.race([running.catch(() => {}), delay(ABORT_GRACE_MS)]);
+  throw new Error(errorMessage);
+}
+
+function positiveIntOr(value, fallback) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
 }
 
 function validateScrapeUrl(rawUrl) {
@@ -43,11 +122,11 @@ function normalizeText(value) {
   return String(value).replace(/\s+/g, ' ').trim();
 }
 
-function extractTables($) {
+function extractTables($, limits) {
   const tables = [];
 
   $('table').each((_, table) => {
-    if (tables.length >= MAX_TABLES) return;
+    if (tables.length >= limits.maxTables) return;
     const $table = $(table);
 
     const caption = normalizeText($table.find('caption').first().text());
@@ -59,7 +138,7 @@ function extractTables($) {
       headers = theadHeaderCells
         .map((_, cell) => normalizeText($(cell).text()))
         .get()
-        .slice(0, MAX_TABLE_COLS);
+        .slice(0, limits.maxTableCols);
     } else {
       const firstRow = $table.find('tr').first();
       const firstRowHasTh = firstRow.find('th').length > 0;
@@ -68,14 +147,14 @@ function extractTables($) {
           .find('th, td')
           .map((_, cell) => normalizeText($(cell).text()))
           .get()
-          .slice(0, MAX_TABLE_COLS);
+          .slice(0, limits.maxTableCols);
       }
     }
 
     const rows = [];
     const allRows = $table.find('tbody tr').length ? $table.find('tbody tr') : $table.find('tr');
     allRows.each((rowIdx, tr) => {
-      if (rows.length >= MAX_TABLE_ROWS) return;
+      if (rows.length >= limits.maxTableRows) return;
       // If we used the first row as headers, skip it in data rows.
       if (rowIdx === 0 && headers.length > 0 && $table.find('thead tr').length === 0) {
         return;
@@ -85,7 +164,7 @@ function extractTables($) {
         .find('th, td')
         .map((_, cell) => normalizeText($(cell).text()))
         .get()
-        .slice(0, MAX_TABLE_COLS)
+        .slice(0, limits.maxTableCols)
         .filter((v) => v.length > 0);
 
       if (cells.length > 0) rows.push(cells);
@@ -111,11 +190,11 @@ function extractTables($) {
   return tables;
 }
 
-function extractLists($) {
+function extractLists($, limits) {
   const lists = [];
 
   $('ul, ol').each((_, list) => {
-    if (lists.length >= MAX_LISTS) return;
+    if (lists.length >= limits.maxLists) return;
     const $list = $(list);
     const type = list?.tagName?.toLowerCase?.() === 'ol' ? 'ol' : 'ul';
 
@@ -124,7 +203,7 @@ function extractLists($) {
       .map((_, li) => normalizeText($(li).text()))
       .get()
       .filter((t) => t.length > 0)
-      .slice(0, MAX_LIST_ITEMS);
+      .slice(0, limits.maxListItems);
 
     if (items.length === 0) return;
 
@@ -139,7 +218,7 @@ function extractLists($) {
   return lists;
 }
 
-function extractUniqueComponents($) {
+function extractUniqueComponents($, limits) {
   const candidates = [
     // Text structure
     'h1,h2,h3,h4,h5,h6',
@@ -184,7 +263,7 @@ function extractUniqueComponents($) {
   };
 
   $(candidates).each((_, el) => {
-    if (out.length >= MAX_UNIQUE_COMPONENTS) return;
+    if (out.length >= limits.maxUniqueComponents) return;
     const tag = (el?.tagName || '').toLowerCase();
     if (!tag || skipTags.has(tag)) return;
 
@@ -223,19 +302,31 @@ function extractUniqueComponents($) {
   return out;
 }
 
-function extractFromHtml(html, url) {
+// `signals` are what the response revealed besides the HTML (headers, cookie names, JS globals).
+function extractFromHtml(html, url, { extractors = [], signals = {}, limits = DEFAULT_EXTRACTION_LIMITS } = {}) {
   const $ = cheerio.load(html);
   const textContent = $('body').text().trim();
 
-  const tables = extractTables($);
-  const lists = extractLists($);
-  const uniqueComponents = extractUniqueComponents($);
+  const tables = extractTables($, limits);
+  const lists = extractLists($, limits);
+  const uniqueComponents = extractUniqueComponents($, limits);
 
   const paragraphs = $('p, article p, main p, .content p')
     .map((_, el) => $(el).text().trim())
     .get()
     .filter((t) => t.length > 30);
 
+  // Headings and paragraphs in document order, used to chunk long pages for the AI summary.
+  const outline = $('h1, h2, h3, h4, h5, h6, p')
+    .map((_, el) => {
+      const tag = (el.tagName || '').toLowerCase();
+      const text = normalizeText($(el).text());
+      if (tag === 'p') return text.length > 30 ? { type: 'paragraph', text } : null;
+      return text ? { type: 'heading', level: Number(tag.slice(1)), text } : null;
+    })
+    .get()
+    .filter(Boolean);
+
   return {
     title: $('title').text().trim() || $('h1').first().text().trim() || 'No title found',
     description:
@@ -256,7 +347,7 @@ function extractFromHtml(html, url) {
       })
       .get()
       .filter(Boolean)
-      .slice(0, 20),
+      .slice(0, limits.maxImages),
     links: $('a')
       .map((_, el) => {
         const href = $(el).attr('href');
@@ -270,46 +361,24 @@ function extractFromHtml(html, url) {
       })
       .get()
       .filter(Boolean)
-      .slice(0, 50),
+      .slice(0, limits.maxLinks),
     tables,
     lists,
     uniqueComponents,
+    ...extractMainContent(html, url),
+    structuredData: extractStructuredData($, url),
+    ...(extractors.length ? { custom: runExtractors($, extractors, url) } : {}),
     rawHtml: html,
-    techStack: detectTechStack(html, url),
-    _bodyTextLength: textContent.length
+    contentType: 'html',
+    techStack: detectTechnologies({ $, url, ...signals }),
+    _bodyTextLength: textContent.length,
+    _outline: outline
   };
 }
 
-function looksBlockedOrJsRequired(html, extracted) {
-  const lower = (html || '').toLowerCase();
-  if (extracted?._bodyTextLength < 120) return true;
-  if (lower.includes('enable javascript')) return true;
-  if (lower.includes('please enable cookies')) return true;
-  if (lower.includes('attention required') && lower.includes('cloudflare')) return true;
-  if (lower.includes('cf-chl') || lower.includes('challenge-platform')) return true;
-  if (lower.includes('access denied')) return true;
-  return false;
-}
-
-function looksEmptyExtraction(extracted) {
-  const paras = extracted?.paragraphs?.length || 0;
-  const links = extracted?.links?.length || 0;
-  const bodyLen = extracted?._bodyTextLength ?? 0;
-
-  // If the body is tiny and we got basically nothing, this is likely blocked/challenged.
-  if (bodyLen < 200 && paras < 2) return true;
-
-  // Many bot walls return a couple of generic links.
-  if (paras === 0 && links <= 3) return true;
-
-  return false;
-}
-
-function formatTablesForPrompt(tables) {
+function formatTablesForPrompt(tables, { maxTables = 6, maxRowsPerTable = 6 } = {}) {
   if (!Array.isArray(tables) || tables.length === 0) return '';
   const lines = [];
-  const maxTables = 6;
-  const maxRowsPerTable = 6;
 
   for (let i = 0; i < Math.min(maxTables, tables.length); i++) {
     const t = tables[i] || {};
@@ -332,11 +401,9 @@ function formatTablesForPrompt(tables) {
   return lines.join('\n');
 }
 
-function formatListsForPrompt(lists) {
+function formatListsForPrompt(lists, { maxLists = 10, maxItemsPerList = 10 } = {}) {
   if (!Array.isArray(lists) || lists.length === 0) return '';
   const lines = [];
-  const maxLists = 10;
-  const maxItemsPerList = 10;
 
   for (let i = 0; i < Math.min(maxLists, lists.length); i++) {
     const l = lists[i] || {};
@@ -354,37 +421,179 @@ function formatListsForPrompt(lists) {
   return lines.join('\n');
 }
 
-async function scrapeWithHttp(url) {
-  const response = await axios.get(url, {
-    headers: { 
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-      'Accept-Language': 'en-US,en;q=0.5',
-      'Accept-Encoding': 'gzip, deflate, br',
-      'Connection': 'keep-alive',
-      'Upgrade-Insecure-Requests': '1'
-    },
-    timeout: 60000,
-    maxRedirects: 5,
-    validateStatus: (status) => status < 500
-  });
+// Follows redirects by hand so every hop passes the network policy before it is requested.
+async function fetchFollowingRedirects(url, { network, headersFor, ...config }) {
+  let target = url;
+  for (let hop = 0; ; hop++) {
+    await network.assertAllowed(target);
+    let response;
+    try {
+      response = await axios.get(target, {
+        ...config,
+        headers: headersFor(target),
+        maxRedirects: 0,
+        // Pins the connection to the addresses that passed the check (no DNS rebinding in between).
+        lookup: network.axiosOptions.lookup
+      });
+    } catch (err) {
+      // axios wraps lookup errors; surface the policy error itself.
+      if (isUrlNotAllowed(err?.cause)) throw err.cause;
+      throw err;
+    }
+    const location = response.headers.location;
+    if (response.status < 300 || response.status >= 400 || response.status === 304 || !location) return response;
+    response.data?.destroy?.();
+    if (hop >= MAX_REDIRECTS) throw new Error('TOO_MANY_REDIRECTS');
+    target = new URL(location, target).href;
+  }
+}
+
+async function scrapeWithHttp(
+  url,
+  {
+    extractOptions,
+    proxy,
+    auth,
+    cache,
+    policy = normalizeScrapePolicy(),
+    network = createNetworkPolicy(),
+    userAgent = DEFAULT_USER_AGENT,
+    maxResponseBytes = normalizeLimits().maxResponseBytes,
+    signal
+  } = {}
+) {
+  const targetHost = new URL(url).host;
+  // Pages behind auth are per-user, so they never go through the shared HTML cache.
+  const htmlCache = cache && !hasAuth(auth) ? cache : null;
+  const cached = htmlCache ? await htmlCache.getHtml(url) : null;
+  const cacheInfo = cache ? { html: htmlCache ? 'miss' : 'bypass', extraction: 'miss' } : null;
+
+  let html;
+  // Non-HTML responses (PDF, feeds, JSON...) skip the HTML cache and the block check.
+  let kind = 'html';
+  let document = null;
+  let signals = {};
+  let size = null;
+  if (cached?.fresh) {
+    html = cached.html;
+    signals = cached.signals || {};
+    cacheInfo.html = 'hit';
+  } else {
+    const response = await fetchFollowingRedirects(url, {
+      network,
+      // Like browsers, auth headers never follow a redirect to another host; cookies go by domain.
+      headersFor: (target) => {
+        const cookies = auth ? cookieHeader(auth.cookies, target) : '';
+        return {
+          'User-Agent': userAgent,
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+          'Accept-Language': 'en-US,en;q=0.5',
+          'Accept-Encoding': 'gzip, deflate, br',
+          'Connection': 'keep-alive',
+          'Upgrade-Insecure-Requests': '1',
+          ...(new URL(target).host === targetHost ? auth?.headers || {} : {}),
+          ...(cookies ? { Cookie: cookies } : {}),
+          ...(cached?.etag ? { 'If-None-Match': cached.etag } : {}),
+          ...(cached?.lastModified ? { 'If-Modified-Since': cached.lastModified } : {})
+        };
+      },
+      timeout: 60000,
+      signal,
+      // Streamed so the download stops at `maxResponseBytes`; bytes, not text, since the body may be
+      // a PDF or DOCX, and HTML is decoded with its charset below.
+      responseType: 'stream',
+      ...createProxyAgents(proxy),
+      // Every status comes back as HTTP_ERROR_<n> below, so retries can tell 4xx from 429/5xx.
+      validateStatus: () => true
+    });
 
-  if (response.status >= 400) {
-    throw new Error(`HTTP_ERROR_${response.status}`);
+    if (response.status === 304 && cached) {
+      response.data.destroy();
+      html = cached.html;
+      signals = cached.signals || {};
+      cacheInfo.html = 'revalidated';
+    } else if (response.status >= 400) {
+      response.data.destroy();
+      const err = new Error(`HTTP_ERROR_${response.status}`);
+      err.httpStatus = response.status;
+      err.retryAfter = response.headers['retry-after'];
+      throw err;
+    } else {
+      const { body, bytes, truncated } = await readBodyCapped(response.data, maxResponseBytes);
+      const contentType = response.headers['content-type'];
+      kind = sniffContentKind(contentType, body, url);
+      // A cut-off HTML page still parses; a cut-off PDF, archive or JSON document does not.
+      if (truncated && kind !== 'html') {
+        const err = new Error('RESPONSE_TOO_LARGE');
+        err.contentType = contentType || null;
+        err.limitBytes = maxResponseBytes;
+        throw err;
+      }
+      size = { bytes, truncated };
+      signals = signalsFromHeaders(response.headers);
+      if (kind !== 'html') {
+        document = { body, contentType };
+      } else {
+        html = decodeBody(body, contentType);
+      }
+      if (htmlCache && kind === 'html' && !truncated) {
+        cacheInfo.pendingWrite = {
+          html,
+          etag: response.headers.etag,
+          lastModified: response.headers['last-modified'],
+          signals
+        };
+      }
+    }
   }
 
-  const extracted = extractFromHtml(response.data, url);
+  // Same HTML (or document bytes), headers and custom extractors always extract to the same result.
+  const extractionKey = cache
+    ? {
+        url,
+        html: hashContent(html ?? document.body.toString('latin1')),
+        signals: hashContent(JSON.stringify(signals)),
+        extractors: extractOptions?.extractors || null,
+        limits: extractOptions?.limits || null
+      }
+    : null;
+  let extracted = cache ? await cache.getExtraction(extractionKey) : null;
+  if (extracted) {
+    cacheInfo.extraction = 'hit';
+  } else if (document) {
+    extracted = await extractDocument(kind, document.body, url, {
+      contentType: document.contentType,
+      maxLinks: extractOptions?.limits?.maxLinks,
+      extractHtml: (converted) => extractFromHtml(converted, url, extractOptions)
+    });
+  } else {
+    extracted = extractFromHtml(html, url, { ...extractOptions, signals });
+  }
 
-  // Heuristic: if body text is tiny, it's likely JS-rendered or blocked.
-  if (looksBlockedOrJsRequired(response.data, extracted)) {
-    throw new Error('JAVASCRIPT_RENDERED');
+  // Heuristic: if body text is tiny (or the awaited selector is missing), it's likely JS-rendered or blocked.
+  const check = document ? { ok: true } : checkPage(html, extracted, policy);
+  if (!check.ok) {
+    const err = new Error('JAVASCRIPT_RENDERED');
+    err.reasons = check.reasons;
+    throw err;
   }
 
+  // Only pages that passed the block check are worth keeping.
+  if (cacheInfo?.pendingWrite) await htmlCache.setHtml(url, cacheInfo.pendingWrite);
+  else if (cacheInfo?.html === 'revalidated') await htmlCache.setHtml(url, cached);
+  if (cache && cacheInfo.extraction === 'miss') await cache.setExtraction(extractionKey, extracted);
+
   const { _bodyTextLength, ...rest } = extracted;
-  return rest;
+  // Cached pages were not downloaded this time; their size is that of the stored HTML.
+  const _size = size || { bytes: Buffer.byteLength(html), truncated: false };
+  return {
+    ...rest,
+    _size,
+    ...(cache ? { _cache: { html: cacheInfo.html, extraction: cacheInfo.extraction } } : {})
+  };
 }
 
-async function scrapeWithBrowser(url) {
+async function launchBrowser() {
   const isServerlessChromium = Boolean(
     process.env.VERCEL ||
       process.env.NETLIFY ||
@@ -434,40 +643,167 @@ async function scrapeWithBrowser(url) {
     );
   }
 
-  const browser = await puppeteer.launch({ ...launchOptions, timeout: 20000 });
+  return puppeteer.launch({ ...launchOptions, timeout: 20000 });
+}
+
+// Lazily launches a single browser that many scrapes can open pages in.
+// If Chromium crashes or disconnects, the next caller gets a fresh one.
+export function createSharedBrowser() {
+  let browserPromise = null;
+
+  return {
+    get() {
+      if (!browserPromise) {
+        const launched = launchBrowser().then(
+          (browser) => {
+            browser.once('disconnected', () => {
+              if (browserPromise === launched) browserPromise = null;
+            });
+            return browser;
+          },
+          (err) => {
+            if (browserPromise === launched) browserPromise = null;
+            throw err;
+          }
+        );
+        browserPromise = launched;
+      }
+      return browserPromise;
+    },
+    async close() {
+      const pending = browserPromise;
+      browserPromise = null;
+      if (!pending) return;
+      try {
+        const browser = await pending;
+        await browser.close();
+      } catch {
+        // Launch failed or browser already gone; nothing to close.
+      }
+    }
+  };
+}
+
+async function scrapeWithBrowser(
+  url,
+  {
+    sharedBrowser,
+    extractOptions,
+    proxy,
+    auth,
+    runLogin = false,
+    onSession,
+    actions = [],
+    userAgent = DEFAULT_USER_AGENT,
+    capture = null,
+    policy = normalizeScrapePolicy(),
+    network = createNetworkPolicy(),
+    maxResponseBytes = normalizeLimits().maxResponseBytes,
+    signal
+  } = {}
+) {
+  const browser = sharedBrowser ? await sharedBrowser.get() : await launchBrowser();
+  let page;
+  let context = null;
+  // Also runs on timeout: with the page (or our own browser) gone, the step still running fails fast.
+  const close = () => (sharedBrowser ? (context || page)?.close() : browser.close())?.catch(() => {});
+  signal?.addEventListener('abort', close, { once: true });
   try {
-    const page = await browser.newPage();
+    // A dedicated context per proxy lets pages in one shared browser exit through different IPs.
+    if (proxy) context = await browser.createBrowserContext({ proxyServer: proxy.server });
+    page = context ? await context.newPage() : await browser.newPage();
+    signal?.throwIfAborted();
+    if (proxy?.username) {
+      await page.authenticate({ username: proxy.username, password: proxy.password || '' });
+    }
     page.setDefaultNavigationTimeout(30000);
     page.setDefaultTimeout(15000);
-    await page.setUserAgent(
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-    );
+    await page.setUserAgent(userAgent);
     await page.setExtraHTTPHeaders({
       'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
       'Accept-Language': 'en-US,en;q=0.9'
     });
 
+    if (auth?.cookies.length) {
+      await page.setCookie(...toBrowserCookies(auth.cookies, url));
+    }
+
+    // Custom/auth headers only go to the target origin, never to third-party requests.
+    const targetOrigin = new URL(url).origin;
+    const authHeaders = auth && Object.keys(auth.headers).length ? auth.headers : null;
+
+    // Every request the page makes (redirects, subresources, login steps) passes the network policy.
+    // A refused main-frame navigation becomes URL_NOT_ALLOWED instead of a generic net:: error.
+    let refusedNavigation = null;
+    const assertNavigationAllowed = () => {
+      if (!refusedNavigation) return;
+      const { url: refusedUrl, reason, allowed, ...details } = refusedNavigation;
+      throw urlNotAllowed(refusedUrl, reason, details);
+    };
+
     await page.setRequestInterception(true);
-    page.on('request', (req) => {
+    page.on('request', async (req) => {
+      const verdict = await network.check(req.url());
+      if (!verdict.allowed) {
+        if (req.isNavigationRequest() && req.frame() === page.mainFrame()) {
+          refusedNavigation = { url: req.url(), ...verdict };
+        }
+        return req.abort('blockedbyclient');
+      }
       const type = req.resourceType();
-      if (type === 'image' || type === 'font' || type === 'stylesheet' || type === 'media') {
+      // Captures need the page to look right, so only media stays blocked then.
+      if (type === 'media' || (!capture && (type === 'image' || type === 'font' || type === 'stylesheet'))) {
         return req.abort();
       }
+      if (authHeaders && req.url().startsWith(targetOrigin)) {
+        return req.continue({ headers: { ...req.headers(), ...authHeaders } });
+      }
       return req.continue();
     });
 
-    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    let response;
+    try {
+      if (runLogin) await runLoginSteps(page, auth);
+      response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    } catch (err) {
+      assertNavigationAllowed();
+      throw err;
+    }
 
     // Wait for the DOM to become meaningful. Many SPA sites first show a shell/logo.
     try {
-      await page.waitForFunction(
-        () => (document?.body?.innerText || '').replace(/\s+/g, ' ').trim().length > 300,
-        { timeout: 8000 }
-      );
+      if (policy.waitForSelector) {
+        await page.waitForSelector(policy.waitForSelector, { timeout: policy.waitForSelectorTimeoutMs });
+      } else {
+        await page.waitForFunction(
+          () => (document?.body?.innerText || '').replace(/\s+/g, ' ').trim().length > 300,
+          { timeout: 8000 }
+        );
+      }
     } catch {
       // Ignore; we'll still attempt extraction.
     }
 
+    // Headers, cookies and JS globals only the browser sees; read once, used by every extraction.
+    const signals = {
+      headers: response?.headers() || {},
+      cookies: cookiesForUrl(await page.browserContext().cookies(), url).map((c) => c.name),
+      js: await readJsGlobals(page)
+    };
+    // The rendered page is already in memory, but parsing and the output still stop at the cap.
+    let size = null;
+    const extractPage = (rendered) => {
+      const { html, ...pageSize } = capHtml(rendered, maxResponseBytes);
+      size = pageSize;
+      return extractFromHtml(html, url, { ...extractOptions, signals });
+    };
+
+    // User-declared interactions (load more, tabs, pagination) run before the final extraction.
+    const actionResult = actions.length
+      ? await runActions(page, actions, {
+          extract: async () => extractPage(await page.content())
+        })
+      : null;
 
     const tryNetworkIdle = async (timeout) => {
       try {
@@ -477,24 +813,30 @@ async function scrapeWithBrowser(url) {
       }
     };
 
+    const rejectedAttempts = [];
     const tryExtractLoop = async () => {
       const maxAttempts = 6;
       for (let attempt = 0; attempt < maxAttempts; attempt++) {
         await tryNetworkIdle(8000);
 
         const html = await page.content();
-        const extracted = extractFromHtml(html, url);
+        const extracted = extractPage(html);
+        const selectorFound = policy.waitForSelector
+          ? Boolean(await page.$(policy.waitForSelector).catch(() => null))
+          : undefined;
 
-        if (!looksBlockedOrJsRequired(html, extracted) && !looksEmptyExtraction(extracted)) {
+        const check = checkPage(html, extracted, policy, { requireContent: true, selectorFound });
+        if (check.ok) {
           return { html, extracted };
         }
+        rejectedAttempts.push({ attempt: attempt + 1, reasons: check.reasons });
 
         // Scroll in steps to trigger lazy-load/infinite feeds.
         try {
           await page.evaluate(() => {
             window.scrollBy(0, Math.max(window.innerHeight, 800));
           });
-          await page.waitForTimeout(900 + attempt * 200);
+          await delay(900 + attempt * 200);
         } catch {
           // Ignore scroll issues.
         }
@@ -503,92 +845,120 @@ async function scrapeWithBrowser(url) {
     };
 
     const loopResult = await tryExtractLoop();
-    if (!loopResult) throw new Error('BLOCKED_OR_EMPTY');
+    // A script may have navigated somewhere it must not go while we waited.
+    assertNavigationAllowed();
+    if (!loopResult) {
+      const err = new Error('BLOCKED_OR_EMPTY');
+      err.reasons = rejectedAttempts.at(-1)?.reasons || [];
+      err.attempts = rejectedAttempts.length;
+      throw err;
+    }
 
     const { html, extracted } = loopResult;
 
-    const { _bodyTextLength, ...rest } = extracted;
-    return rest;
+    if (runLogin && onSession) {
+      const loginHosts = auth.loginSteps.filter((s) => s.url).map((s) => s.url);
+      const allCookies = await page.browserContext().cookies();
+      const sessionCookies = [url, ...loginHosts].flatMap((u) => cookiesForUrl(allCookies, u));
+      await onSession(mergeCookies([], sessionCookies));
+    }
+
+    const captures = capture ? await takeCaptures(page, capture) : null;
+
+    const { _bodyTextLength, ...rest } = actionResult
+      ? mergeExtractions(extracted, actionResult.extraPages)
+      : extracted;
+    return {
+      ...rest,
+      ...(actionResult ? { actions: actionResult.report } : {}),
+      ...(captures ? { _captures: captures } : {}),
+      _size: size,
+      _decision: { attempts: rejectedAttempts.length + 1, rejectedAttempts }
+    };
   } finally {
-    await browser.close();
+    signal?.removeEventListener('abort', close);
+    await close();
   }
 }
 
-function detectTechStack(html, url) {
-  const technologies = [];
-  const lowerHtml = html.toLowerCase();
-  
-  // Frontend frameworks
-  if (lowerHtml.includes('react') || lowerHtml.includes('_next') || lowerHtml.includes('__next')) {
-    if (lowerHtml.includes('_next')) technologies.push({ name: 'Next.js', icon: 'Next' });
-    else technologies.push({ name: 'React', icon: 'React' });
-  }
-  if (lowerHtml.includes('vue') || lowerHtml.includes('nuxt')) {
-    technologies.push({ name: lowerHtml.includes('nuxt') ? 'Nuxt.js' : 'Vue.js', icon: 'Vue' });
-  }
-  if (lowerHtml.includes('angular') || lowerHtml.includes('ng-version')) {
-    technologies.push({ name: 'Angular', icon:  'Angular' });
-  }
-  if (lowerHtml.includes('svelte')) {
-    technologies.push({ name: 'Svelte', icon: 'Svelte' });
-  }
-  
-  // CSS Frameworks
-  if (lowerHtml.includes('bootstrap')) {
-    technologies.push({ name: 'Bootstrap', icon: 'Bootstrap' });
-  }
-  if (lowerHtml.includes('tailwind')) {
-    technologies.push({ name: 'Tailwind CSS', icon: 'Tailwind' });
-  }
-  if (lowerHtml.includes('material-ui') || lowerHtml.includes('mui')) {
-    technologies.push({ name: 'Material-UI', icon: 'MUI' });
-  }
-  
-  // Backend & CMS
-  if (lowerHtml.includes('wordpress') || lowerHtml.includes('wp-content')) {
-    technologies.push({ name: 'WordPress', icon:  'WP' });
-  }
-  if (lowerHtml.includes('shopify')) {
-    technologies.push({ name: 'Shopify', icon: 'Shopify' });
-  }
-  if (lowerHtml.includes('wix')) {
-    technologies.push({ name: 'Wix', icon: 'Wix' });
-  }
-  
-  // Analytics & Tools
-  if (lowerHtml.includes('google-analytics') || lowerHtml.includes('gtag')) {
-    technologies.push({ name: 'Google Analytics', icon: 'GA' });
-  }
-  if (lowerHtml.includes('jquery')) {
-    technologies.push({ name: 'jQuery', icon:  'jQuery' });
-  }
-  if (lowerHtml.includes('cloudflare')) {
-    technologies.push({ name: 'Cloudflare', icon: 'CF' });
-  }
-  
-  // Meta frameworks
-  if (lowerHtml.includes('gatsby')) {
-    technologies.push({ name: 'Gatsby', icon: 'Gatsby' });
-  }
-  if (lowerHtml.includes('remix')) {
-    technologies.push({ name: 'Remix', icon: 'Remix' });
-  }
-  
-  // Hosting/Platform
-  if (url.includes('vercel.app')) {
-    technologies.push({ name: 'Vercel', icon: 'Vercel' });
-  }
-  if (url.includes('netlify.app')) {
-    technologies.push({ name: 'Netlify', icon: 'Netlify' });
-  }
-  if (url.includes('github.io')) {
-    technologies.push({ name: 'GitHub Pages', icon: 'GitHub' });
-  }
-  
-  return technologies;
+// Turns the HTTP/browser error messages into the public error payload.
+function scrapeFailure(url, details) {
+  const isTimeout =
+    details.httpError?.includes('TIMEOUT') || details.browserError?.includes('TIMEOUT');
+  // Without a browser attempt (mode "http"), a page that looked JS-rendered counts as blocked.
+  const httpOnly = !details.browserError;
+  const isBlocked =
+    details.browserError === 'BLOCKED_OR_EMPTY' || (httpOnly && details.httpError === 'JAVASCRIPT_RENDERED');
+  const isLoginOrBlocked = details.browserError === 'LOGIN_OR_BLOCKED';
+  const isLoginFailed = Boolean(details.browserError?.startsWith('LOGIN_STEP_FAILED'));
+  const isActionFailed = Boolean(details.browserError?.startsWith('ACTION_FAILED'));
+  const isUnsupported = details.httpError === 'UNSUPPORTED_CONTENT_TYPE';
+  const isTooLarge = details.httpError === 'RESPONSE_TOO_LARGE';
+  const isOverBudget = Boolean(details.budgetExceeded);
+  const retryFailure = describeRetryFailure(details.attempts);
+
+  const [errorType, message] = isUnsupported
+    ? [
+        'UNSUPPORTED_CONTENT_TYPE',
+        `⚠️ This URL returns ${details.contentType || 'a file type'} that can't be extracted. Supported: HTML, PDF, DOCX, JSON, RSS/Atom and plain text.`
+      ]
+    : isTooLarge
+      ? [
+          'RESPONSE_TOO_LARGE',
+          `⚠️ This ${details.contentType || 'file'} is larger than maxResponseBytes (${details.limitBytes} bytes) and can't be read in part. Raise the limit to scrape it.`
+        ]
+      : isOverBudget
+        ? ['BUDGET_EXCEEDED', `⚠️ ${details.budgetExceeded.message} The page was not finished.`]
+        : isTimeout
+          ? ['TIMEOUT', '⚠️ Scraping timed out on the server. This often happens on serverless hosts for heavy pages.']
+          : isLoginFailed
+            ? ['LOGIN_FAILED', '⚠️ The scripted login did not complete. Check the selectors in `loginSteps` and the credentials.']
+            : isActionFailed
+              ? ['ACTION_FAILED', '⚠️ A browser action did not complete. Check its selector, or mark it `optional: true`.']
+              : retryFailure
+                ? retryFailure
+                : isLoginOrBlocked
+                  ? [
+                      'LOGIN_REQUIRED',
+                      '⚠️ This page likely requires login or restricts automated access (common on social platforms like Instagram). For reliable results, use the platform’s official API or scrape only content you’re authorized to access.'
+                    ]
+                  : isBlocked && httpOnly
+                    ? ['BLOCKED', '⚠️ The page looks blocked or JavaScript-rendered, and mode "http" never falls back to the browser.']
+                    : isBlocked
+                      ? ['BLOCKED', '⚠️ This site appears to block scraping from server IPs (bot protection/captcha).']
+                      : ['SCRAPE_ERROR', '⚠️ Unable to scrape this site. It may be blocking automation or requires interaction/login.'];
+
+  const errOut = new Error(errorType);
+  errOut.statusCode = 422;
+  errOut.publicPayload = {
+    error: 'Scraping failed',
+    errorType,
+    message,
+    url,
+    details,
+    timestamp: new Date().toISOString()
+  };
+  return errOut;
 }
 
-export async function scrapeAndSummarize(input) {
+export async function scrapeAndSummarize(
+  input,
+  {
+    sharedBrowser,
+    proxyRotator = createProxyRotator(input),
+    sessionStore,
+    snapshotStore,
+    cache,
+    captureStore,
+    robots = createRobotsChecker(input),
+    domainLimiter = createDomainLimiter(input),
+    network = createNetworkPolicy(input),
+    // Batch, crawl and sitemap runs bind domain-less cookies to their first URL, not to every page.
+    cookieUrl,
+    // A single-URL run's `createRunBudget`; batch pages already in flight are left to finish instead.
+    budget = null
+  } = {}
+) {
   const { url, prompt } = input || {};
 
   if (!url) {
@@ -616,83 +986,319 @@ export async function scrapeAndSummarize(input) {
     };
     throw err;
   }
+  // Private addresses and domains outside the allow/deny lists get a 403 before anything is fetched.
+  await network.assertAllowed(normalizedUrl);
+
+  // Throws a 400 with `INVALID_EXTRACTORS` (or `INVALID_RAW_HTML_MODE`) before any network work happens.
+  const limits = normalizeLimits(input);
+  const extractOptions = { extractors: normalizeExtractors(input?.extractors), limits: limits.extraction };
+  // Same for a bad provider, a missing API key or an invalid output schema: fail before scraping, not after.
+  const outputSchema = compileOutputSchema(input?.outputSchema);
+  const summarizeChanges = Boolean(snapshotStore && input.summarizeChanges);
+  const llmConfig = prompt || outputSchema || summarizeChanges ? resolveLlmConfig(input) : null;
+  // An endpoint from the input is checked like a page (the operator's LLM_BASE_URL is trusted as is).
+  if (llmConfig && input.llmBaseUrl) await network.assertAllowed(llmConfig.baseUrl, { lists: false });
+  const llm = llmConfig ? createLlmClient(llmConfig) : null;
+  const auth = resolveAuth(input);
+  auth.cookies = bindHostOnlyCookies(auth.cookies, cookieUrl || normalizedUrl);
+  const actions = normalizeActions(input.actions);
+  const capture = normalizeCaptureOptions(input);
+  const policy = normalizeScrapePolicy(input);
+  const retryPolicy = normalizeRetryPolicy(input);
+  if (policy.mode === 'http' && (auth.loginSteps.length || actions.length || capture)) {
+    const err = new Error('INVALID_MODE');
+    err.statusCode = 400;
+    err.publicPayload = {
+      error: 'Invalid input',
+      errorType: 'INVALID_MODE',
+      message: 'mode "http" cannot run login steps, browser actions or captures; use "auto" or "browser".'
+    };
+    throw err;
+  }
+
+  // A fresh saved session makes the scripted login unnecessary; cookies from it apply to both paths.
+  let runLogin = auth.loginSteps.length > 0;
+  let sessionReused = false;
+  if (sessionStore) {
+    const saved = await sessionStore.load();
+    if (saved) {
+      auth.cookies = mergeCookies(auth.cookies, saved.cookies);
+      if (isSessionFresh(saved, auth.sessionMaxAgeMs)) {
+        runLogin = false;
+        sessionReused = true;
+      }
+    }
+  }
 
-  console.log('[INFO] Scraping:', { url: normalizedUrl, mode: 'auto' });
+  console.log('[INFO] Scraping:', { url: normalizedUrl, mode: policy.mode });
 
   let scraped;
   let methodUsed = 'HTTP';
   let httpError = null;
+  let proxy = proxyRotator?.getProxy(normalizedUrl) || null;
+  let proxyRotations = 0;
+  const userAgent = input.userAgent || DEFAULT_USER_AGENT;
+
+  const robotsResult = robots ? await robots.check(normalizedUrl, { proxy }) : null;
+  if (robotsResult && !robotsResult.allowed) {
+    const err = new Error('ROBOTS_DISALLOWED');
+    err.statusCode = 403;
+    err.publicPayload = {
+      error: 'Scraping not allowed',
+      errorType: 'ROBOTS_DISALLOWED',
+      message: robotsResult.rule
+        ? `⚠️ robots.txt does not allow this URL (${robotsResult.rule}).`
+        : `⚠️ robots.txt could not be read (${robotsResult.status}), so the site is treated as disallowed.`,
+      url: normalizedUrl,
+      details: {
+        robotsUrl: robotsResult.robotsUrl,
+        robotsStatus: robotsResult.status,
+        rule: robotsResult.rule
+      },
+      timestamp: new Date().toISOString()
+    };
+    throw err;
+  }
+  // Every request to the site waits for a free per-host slot and the Crawl-delay.
+  const politely = (task) =>
+    domainLimiter ? domainLimiter.run(normalizedUrl, task, { crawlDelayMs: robotsResult?.crawlDelayMs || 0 }) : task();
+  // With a run budget no try starts once it is used up, and none runs past what is left of it.
+  const withinBudget = (task, ms, errorMessage) =>
+    budget?.exceeded()
+      ? Promise.reject(new Error('RUN_BUDGET_EXCEEDED'))
+      : withTimeout(task, budget ? Math.min(ms, budget.remainingMs()) : ms, errorMessage);
+  const budgetDetails = () => (budget?.exceeded() ? { budgetExceeded: budget.exceeded() } : {});
+
+  // Why each path was skipped, rejected or accepted; returned as `decision` and in error details.
+  const decision = { mode: policy.mode, steps: [] };
+
+  // Logging in, page interactions and visual captures need a real browser, so skip straight to it.
+  const skipHttp =
+    policy.mode === 'browser'
+      ? ['SKIPPED_FOR_MODE', 'mode is "browser"']
+      : runLogin
+        ? ['SKIPPED_FOR_LOGIN', 'login steps need a browser']
+        : actions.length
+          ? ['SKIPPED_FOR_ACTIONS', 'browser actions need a browser']
+          : capture
+            ? ['SKIPPED_FOR_CAPTURE', 'captures need a browser']
+            : null;
+  // Every failed try of either path, in order; ends up in the error payload `details.attempts`.
+  const attempts = [];
+  const retriesOf = (method) => attempts.filter((a) => a.method === method && a.retryInMs !== undefined).length;
+  const rotateIfBlocked = (err) => {
+    if (proxyRotator && PROXY_BLOCK_SIGNALS.has(err?.message)) {
+      proxy = proxyRotator.rotate(normalizedUrl);
+      proxyRotations++;
+    }
+  };
 
-  try {
-    scraped = await withTimeout(
-      scrapeWithHttp(normalizedUrl),
-      Math.min(OVERALL_TIMEOUT_MS, 15000),
-      'HTTP_TIMEOUT'
-    );
-    methodUsed = 'HTTP';
-  } catch (err) {
-    httpError = err;
-    console.error('[ERROR] HTTP scraping failed:', err?.message);
+  if (skipHttp) {
+    httpError = new Error(skipHttp[0]);
+    decision.steps.push({ method: 'HTTP', outcome: 'skipped', reasons: [skipHttp[1]] });
+  } else {
+    try {
+      scraped = await withRetry(
+        () =>
+          politely(() =>
+            withinBudget(
+              (signal) =>
+                scrapeWithHttp(normalizedUrl, {
+                  extractOptions,
+                  proxy,
+                  auth,
+                  cache,
+                  policy,
+                  userAgent,
+                  network,
+                  maxResponseBytes: limits.maxResponseBytes,
+                  signal
+                }),
+              Math.min(OVERALL_TIMEOUT_MS, 15000),
+              'HTTP_TIMEOUT'
+            )
+          ),
+        retryPolicy,
+        { method: 'HTTP', history: attempts, onRetry: rotateIfBlocked }
+      );
+      methodUsed = 'HTTP';
+      decision.steps.push({
+        method: 'HTTP',
+        outcome: 'accepted',
+        ...(retriesOf('HTTP') ? { retries: retriesOf('HTTP') } : {}),
+        reasons: []
+      });
+    } catch (err) {
+      // A redirect to a refused host is not something the browser should retry.
+      if (isUrlNotAllowed(err)) throw err;
+      httpError = err;
+      console.error('[ERROR] HTTP scraping failed:', err?.message);
+      decision.steps.push({
+        method: 'HTTP',
+        outcome: err?.reasons ? 'rejected' : 'failed',
+        ...(retriesOf('HTTP') ? { retries: retriesOf('HTTP') } : {}),
+        reasons: err?.reasons || [err?.message || 'Unknown error']
+      });
+      rotateIfBlocked(err);
+    }
+  }
+
+  // A browser can't make an image or a ZIP readable either, nor download less of a file that is too big.
+  const unsupported = ['UNSUPPORTED_CONTENT_TYPE', 'RESPONSE_TOO_LARGE'].includes(httpError?.message);
+  const fatal = unsupported || (!skipHttp && httpError && isFatalHttpError(httpError));
+  if (!scraped && (policy.mode === 'http' || fatal || budget?.exceeded())) {
+    throw scrapeFailure(normalizedUrl, {
+      httpError: httpError?.message || null,
+      browserError: null,
+      ...(unsupported ? { contentType: httpError.contentType } : {}),
+      ...(httpError?.limitBytes ? { limitBytes: httpError.limitBytes } : {}),
+      ...(proxy ? { proxy: describeProxy(proxy, proxyRotations) } : {}),
+      ...budgetDetails(),
+      decision,
+      attempts
+    });
+  }
+
+  // Concurrent pages of a batch or crawl wait for a login that is already running and reuse its
+  // session instead of each logging in.
+  let releaseLogin = null;
+  while (!scraped && runLogin && sessionStore && !releaseLogin) {
+    await sessionStore.loginInProgress();
+    const saved = await sessionStore.load();
+    if (saved && isSessionFresh(saved, auth.sessionMaxAgeMs)) {
+      auth.cookies = mergeCookies(auth.cookies, saved.cookies);
+      runLogin = false;
+      sessionReused = true;
+    } else {
+      releaseLogin = sessionStore.claimLogin();
+    }
   }
 
   if (!scraped) {
     try {
-      scraped = await withTimeout(
-        scrapeWithBrowser(normalizedUrl),
-        OVERALL_TIMEOUT_MS,
-        'BROWSER_TIMEOUT'
+      scraped = await withRetry(
+        () =>
+          politely(() =>
+            withinBudget(
+              (signal) =>
+                scrapeWithBrowser(normalizedUrl, {
+                  sharedBrowser,
+                  extractOptions,
+                  proxy,
+                  auth,
+                  runLogin,
+                  onSession: sessionStore ? (cookies) => sessionStore.save(cookies) : null,
+                  actions,
+                  userAgent,
+                  capture,
+                  policy,
+                  network,
+                  maxResponseBytes: limits.maxResponseBytes,
+                  signal
+                }),
+              OVERALL_TIMEOUT_MS +
+                (runLogin ? LOGIN_TIMEOUT_MS : 0) +
+                actionsTimeoutMs(actions) +
+                (capture ? CAPTURE_TIMEOUT_MS : 0) +
+                (policy.waitForSelector ? policy.waitForSelectorTimeoutMs : 0),
+              'BROWSER_TIMEOUT'
+            )
+          ),
+        retryPolicy,
+        { method: 'BROWSER', history: attempts }
       );
       methodUsed = 'BROWSER';
     } catch (err) {
+      if (isUrlNotAllowed(err)) throw err;
       console.error('[ERROR] Browser scraping failed:', err?.message);
+      decision.steps.push({
+        method: 'BROWSER',
+        outcome: err?.reasons ? 'rejected' : 'failed',
+        ...(err?.attempts ? { attempts: err.attempts } : {}),
+        ...(retriesOf('BROWSER') ? { retries: retriesOf('BROWSER') } : {}),
+        reasons: err?.reasons || [err?.message || 'Unknown error']
+      });
       const details = {
         httpError: httpError?.message || null,
-        browserError: err?.message || null
+        browserError: err?.message || null,
+        ...(proxy ? { proxy: describeProxy(proxy, proxyRotations) } : {}),
+        ...budgetDetails(),
+        decision,
+        attempts
       };
+      // Later pages on this domain should not reuse the IP that just got blocked.
+      if (proxyRotator && err?.message === 'BLOCKED_OR_EMPTY') proxyRotator.rotate(normalizedUrl);
 
-      const isTimeout =
-        details.httpError?.includes('TIMEOUT') || details.browserError?.includes('TIMEOUT');
-      const isBlocked = details.browserError === 'BLOCKED_OR_EMPTY';
-      const isLoginOrBlocked = details.browserError === 'LOGIN_OR_BLOCKED';
-
-      const errorType = isTimeout
-        ? 'TIMEOUT'
-        : isLoginOrBlocked
-          ? 'LOGIN_REQUIRED'
-          : isBlocked
-            ? 'BLOCKED'
-            : 'SCRAPE_ERROR';
-
-      const errOut = new Error(errorType);
-      errOut.statusCode = 422;
-      errOut.publicPayload = {
-        error: 'Scraping failed',
-        errorType,
-        message: isTimeout
-          ? '⚠️ Scraping timed out on the server. This often happens on serverless hosts for heavy pages.'
-          : isLoginOrBlocked
-            ? '⚠️ This page likely requires login or restricts automated access (common on social platforms like Instagram). For reliable results, use the platform’s official API or scrape only content you’re authorized to access.'
-            : isBlocked
-              ? '⚠️ This site appears to block scraping from server IPs (bot protection/captcha).'
-              : '⚠️ Unable to scrape this site. It may be blocking automation or requires interaction/login.',
-        url: normalizedUrl,
-        details,
-        timestamp: new Date().toISOString()
-      };
-      throw errOut;
+      throw scrapeFailure(normalizedUrl, details);
+    } finally {
+      releaseLogin?.();
     }
   }
 
-  const contentText = (scraped.paragraphs || []).join('\n');
+  const {
+    _outline: outline = [],
+    _cache: pageCache,
+    _captures: rawCaptures,
+    _decision: browserDecision,
+    _size: pageSize,
+    rawHtml,
+    ...page
+  } = scraped;
+  // Big pages can leave `rawHtml` out of the record, cut it, or keep it in the key-value store.
+  const rawHtmlOutput = await outputRawHtml(rawHtml, limits.rawHtml, { url: normalizedUrl, store: captureStore });
+  scraped = { ...page, ...rawHtmlOutput.fields };
+  const size = { ...pageSize, ...rawHtmlOutput.size };
+  if (browserDecision) {
+    decision.steps.push({
+      method: 'BROWSER',
+      outcome: 'accepted',
+      attempts: browserDecision.attempts,
+      ...(retriesOf('BROWSER') ? { retries: retriesOf('BROWSER') } : {}),
+      reasons: [],
+      ...(browserDecision.rejectedAttempts.length ? { rejectedAttempts: browserDecision.rejectedAttempts } : {})
+    });
+  }
+  const captures = rawCaptures ? await describeCaptures(rawCaptures, normalizedUrl, captureStore) : null;
+  // Browser results are never cached, but the AI answers for them still can be.
+  const cacheInfo = cache ? pageCache || { html: 'bypass', extraction: 'bypass' } : null;
+  const scrapedAt = new Date().toISOString();
+
+  // Monitoring: compare with the last reported snapshot. It only moves forward on a reported
+  // change, so small edits below the threshold still add up over several runs.
+  let change = null;
+  if (snapshotStore) {
+    const snapshot = createSnapshot({ ...scraped, url: normalizedUrl, scrapedAt });
+    const minScore = Number.parseFloat(input.monitorMinChangeScore);
+    change = compareSnapshots(await snapshotStore.load(normalizedUrl), snapshot, {
+      minScore: Number.isFinite(minScore) ? minScore : 0
+    });
+    if (change.changed) await snapshotStore.save(normalizedUrl, snapshot);
+  }
+  // Past the run budget the page is kept but the AI calls are left out.
+  const budgetExceeded = llm ? budget?.exceeded() || null : null;
+  const skipAi = Boolean(
+    llm && (budgetExceeded || (change && !change.changed && input.skipSummaryIfUnchanged !== false))
+  );
+
+  const chunkTokens = positiveIntOr(input.summaryChunkTokens, DEFAULT_CHUNK_TOKENS);
+  const tokenBudget = Math.max(chunkTokens, positiveIntOr(input.summaryTokenBudget, DEFAULT_TOKEN_BUDGET));
+
+  // Prefer the cleaned article Markdown; very short results usually mean detection missed.
+  const useMainContent = (scraped.wordCount || 0) >= MIN_MAIN_CONTENT_WORDS;
+  const contentText = useMainContent ? scraped.mainContent : (scraped.paragraphs || []).join('\n');
   const tablesText = formatTablesForPrompt(scraped.tables);
   const listsText = formatListsForPrompt(scraped.lists);
 
-  const fullText = `
+  const header = `
 Title: ${scraped.title}
 URL: ${normalizedUrl}
 Description: ${scraped.description}
+`.trim();
+
+  const fullText = `
+${header}
 
-Text (paragraphs):
+${useMainContent ? 'Main content (Markdown)' : 'Text (paragraphs)'}:
 ${contentText}
 
 Tables:
@@ -700,24 +1306,66 @@ ${tablesText || 'None'}
 
 Lists:
 ${listsText || 'None'}
-`.trim().slice(0, 4500);
+`.trim();
+
+  // AI answers depend only on what the model sees and how it is asked.
+  const aiCacheKey = (kind, extra = {}) => ({
+    kind,
+    content: hashContent(fullText),
+    prompt: prompt || null,
+    provider: llm?.provider,
+    model: llm?.model,
+    ...extra
+  });
 
   let summary = '';
-  if (prompt) {
+  let summaryMeta = null;
+  const summaryKey = cache && prompt && !summarizeChanges ? aiCacheKey('summary', { chunkTokens, tokenBudget }) : null;
+  const cachedSummary = summaryKey && !skipAi ? await cache.getAi(summaryKey) : null;
+  if (summaryKey) cacheInfo.summary = cachedSummary ? 'hit' : 'miss';
+
+  if (skipAi) {
+    summary = budgetExceeded
+      ? 'Run budget used up; AI summary skipped.'
+      : 'No change since the last snapshot; AI summary skipped.';
+  } else if (summarizeChanges && change.diff) {
     try {
-      const res = await axios.post(
-        'https://text.pollinations.ai/',
-        {
-          messages: [{ role: 'user', content: `${prompt}:\n\n${fullText}` }],
-          model: 'openai',
-          private: true
-        },
-        {
-          headers: { 'Content-Type': 'application/json' },
-          timeout: 30000
-        }
-      );
-      summary = res.data;
+      summary = await llm.complete({
+        messages: [
+          {
+            role: 'user',
+            content: [
+              `${prompt || 'Summarize what changed on this page and why it might matter'}:`,
+              '',
+              'Only the changes since the previous version are listed below ("+" added, "-" removed).',
+              '',
+              header,
+              '',
+              truncateToTokens(formatDiffForPrompt(change.diff), chunkTokens)
+            ].join('\n')
+          }
+        ]
+      });
+    } catch (apiError) {
+      console.error('AI API error:', apiError.response?.data || apiError.message);
+      summary = 'AI summary of changes unavailable. The structured diff is still included.';
+    }
+  } else if (cachedSummary) {
+    ({ summary, summaryMeta } = cachedSummary);
+  } else if (prompt) {
+    // Long pages are summarized chunk by chunk, with every table row and list item included.
+    const extraSections = [
+      { heading: 'Tables', text: formatTablesForPrompt(scraped.tables, { maxTables: Infinity, maxRowsPerTable: Infinity }) },
+      { heading: 'Lists', text: formatListsForPrompt(scraped.lists, { maxLists: Infinity, maxItemsPerList: Infinity }) }
+    ];
+    const sections = useMainContent
+      ? sectionsFromMarkdown(scraped.mainContent, extraSections)
+      : buildSections(outline, extraSections);
+    try {
+      const result = await summarizeDocument({ llm, prompt, header, sections, chunkTokens, tokenBudget });
+      summary = result.summary;
+      summaryMeta = result.meta;
+      if (summaryKey) await cache.setAi(summaryKey, { summary, summaryMeta });
     } catch (apiError) {
       console.error('AI API error:', apiError.response?.data || apiError.message);
       if (apiError.response?.status === 429) {
@@ -729,18 +1377,78 @@ ${listsText || 'None'}
     }
   }
 
+  let structured = null;
+  const extractionKey =
+    cache && outputSchema && !skipAi ? aiCacheKey('extraction', { schema: input.outputSchema }) : null;
+  if (extractionKey) {
+    structured = await cache.getAi(extractionKey);
+    cacheInfo.extracted = structured ? 'hit' : 'miss';
+  }
+  if (outputSchema && !skipAi && !structured) {
+    const retries = Number.parseInt(input.outputSchemaRetries, 10);
+    try {
+      structured = await extractWithSchema({
+        llm,
+        compiled: outputSchema,
+        prompt,
+        content: truncateToTokens(fullText, chunkTokens),
+        maxAttempts: (Number.isFinite(retries) && retries >= 0 ? retries : 2) + 1
+      });
+      // Invalid results are retried on the next run instead of being cached.
+      if (extractionKey && structured.extraction.valid) await cache.setAi(extractionKey, structured);
+    } catch (apiError) {
+      console.error('AI extraction error:', apiError.response?.data || apiError.message);
+      structured = {
+        extracted: null,
+        extraction: {
+          valid: false,
+          errors: [
+            apiError.response?.status === 429
+              ? 'AI service is currently busy (rate limit).'
+              : 'AI extraction unavailable.'
+          ]
+        }
+      };
+    }
+  }
+
   return {
     url: normalizedUrl,
     methodUsed,
+    ...(proxy ? { proxy: describeProxy(proxy, proxyRotations) } : {}),
+    ...(hasAuth(auth)
+      ? {
+          auth: {
+            headerNames: Object.keys(auth.headers),
+            cookieCount: auth.cookies.length,
+            loginPerformed: runLogin && methodUsed === 'BROWSER',
+            sessionReused
+          }
+        }
+      : {}),
     summary,
+    ...(summaryMeta ? { summaryMeta } : {}),
+    ...(structured || {}),
+    ...(llm ? { llm: { provider: llm.provider, model: llm.model } } : {}),
+    ...(change ? { change } : {}),
+    ...(cacheInfo ? { cache: cacheInfo } : {}),
+    ...(captures ? { captures } : {}),
+    ...(budgetExceeded ? { budgetExceeded } : {}),
+    size,
+    ...(robotsResult
+      ? { robots: { allowed: true, rule: robotsResult.rule, crawlDelayMs: robotsResult.crawlDelayMs } }
+      : {}),
+    decision,
     ...scraped,
-    scrapedAt: new Date().toISOString()
+    scrapedAt
   };
 }
 
 export async function POST(request) {
   try {
-    const input = await request.json();
+    // Same input surface as the API server: everything else (network policy, proxies, LLM endpoint and
+    // keys, credentials) comes from the env vars only.
+    const input = pickRequestFields(await request.json());
     const output = await scrapeAndSummarize(input);
     return Response.json(output);
   } catch (error) {
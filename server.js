@@ -0,0 +1,18 @@
+import { createApiServer } from './lib/server.js';
+
+// Standalone API server: `npm run serve`, then POST /scrape or /batch.
+const port = Number.parseInt(process.env.PORT, 10) || 3000;
+const server = createApiServer();
+
+server.listen(port, () => {
+  console.log(`[INFO] API server listening on http://localhost:${port}`);
+});
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    console.log(`[INFO] ${signal} received, shutting down`);
+    server.close(() => process.exit(0));
+    // In-flight scrapes get a few seconds to finish.
+    setTimeout(() => process.exit(0), 10000).unref();
+  });
+}
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { actionsTimeoutMs, normalizeActions } from '../lib/actions.js';
+
+test('normalizeActions refuses unknown actions and missing selectors', () => {
+  const isInvalid = (err) => err.statusCode === 400 && err.publicPayload.errorType === 'INVALID_ACTIONS';
+  assert.throws(() => normalizeActions({}), isInvalid);
+  assert.throws(() => normalizeActions([{ action: 'teleport' }]), isInvalid);
+  assert.throws(() => normalizeActions([{ action: 'click' }]), isInvalid);
+  assert.deepEqual(normalizeActions(null), []);
+});
+
+test('actionsTimeoutMs gives each step its own waits plus overhead', () => {
+  assert.equal(actionsTimeoutMs([]), 0);
+  assert.equal(actionsTimeoutMs([{ action: 'wait', ms: 30000 }]), 32000);
+  assert.equal(actionsTimeoutMs([{ action: 'wait', ms: 999999 }]), 32000);
+  assert.equal(actionsTimeoutMs([{ action: 'click', selector: 'a' }]), 12000);
+  assert.equal(actionsTimeoutMs([{ action: 'click', selector: 'a', waitForNavigation: true, timeoutMs: 5000 }]), 12000);
+  assert.equal(actionsTimeoutMs([{ action: 'type', selector: 'input', text: 'abcde' }]), 12100);
+  assert.equal(actionsTimeoutMs([{ action: 'scrollToBottom' }]), 78000);
+  assert.equal(actionsTimeoutMs([{ action: 'scrollToBottom', maxScrolls: 2, delayMs: 1000 }]), 10000);
+  assert.equal(actionsTimeoutMs([{ action: 'paginate', selector: '.next' }]), 112000);
+  assert.equal(
+    actionsTimeoutMs([{ action: 'paginate', selector: '.next', waitForSelector: '.item', maxPages: 2, timeoutMs: 1000 }]),
+    12000
+  );
+});
+
+test('actionsTimeoutMs adds up the steps', () => {
+  const steps = [{ action: 'wait', ms: 500 }, { action: 'waitForSelector', selector: '#x', timeoutMs: 4000 }];
+  assert.equal(actionsTimeoutMs(steps), 2500 + 6000);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { capHtml, createRunBudget, normalizeLimits, readBodyCapped, utf8Cut } from '../lib/limits.js';
+
+// "€" is 3 bytes in UTF-8, "😀" is 4.
+const euros = Buffer.from('ab€€');
+
+test('utf8Cut never splits a multi-byte character', () => {
+  assert.equal(utf8Cut(euros, 2), 2);
+  assert.equal(utf8Cut(euros, 3), 2);
+  assert.equal(utf8Cut(euros, 4), 2);
+  assert.equal(utf8Cut(euros, 5), 5);
+  assert.equal(utf8Cut(euros, 7), 5);
+  assert.equal(utf8Cut(euros, 8), 8);
+  assert.equal(utf8Cut(euros, 100), 8);
+  assert.equal(utf8Cut(Buffer.from('😀x'), 3), 0);
+});
+
+test('utf8Cut backs off at most 3 bytes in binary data', () => {
+  const binary = Buffer.alloc(16, 0x80);
+  assert.equal(utf8Cut(binary, 10), 7);
+});
+
+test('capHtml keeps whole characters and reports the kept bytes', () => {
+  assert.deepEqual(capHtml('ab€€', 100), { html: 'ab€€', bytes: 8, truncated: false });
+  for (let maxBytes = 1; maxBytes < 8; maxBytes++) {
+    const { html, bytes, truncated } = capHtml('ab€€', maxBytes);
+    assert.equal(truncated, true);
+    assert.ok(!html.includes('�'), `cut at ${maxBytes}`);
+    assert.equal(bytes, Buffer.byteLength(html));
+    assert.ok(bytes <= maxBytes);
+  }
+});
+
+test('readBodyCapped reads a small body whole', async () => {
+  const { body, bytes, truncated } = await readBodyCapped(Readable.from([Buffer.from('ab'), Buffer.from('€')]), 100);
+  assert.equal(body.toString(), 'ab€');
+  assert.equal(bytes, 5);
+  assert.equal(truncated, false);
+});
+
+test('readBodyCapped stops at the limit on a character boundary', async () => {
+  for (const [maxBytes, expected] of [
+    [3, 'ab'],
+    [4, 'ab'],
+    [5, 'ab€'],
+    [7, 'ab€'],
+    [8, 'ab€€']
+  ]) {
+    const stream = Readable.from([Buffer.from('ab€'), Buffer.from('€€')]);
+    const { body, bytes, truncated } = await readBodyCapped(stream, maxBytes);
+    assert.equal(body.toString(), expected, `limit ${maxBytes}`);
+    assert.equal(bytes, body.length);
+    assert.equal(truncated, true);
+    assert.ok(stream.destroyed);
+  }
+});
+
+test('readBodyCapped rejects on a stream error', async () => {
+  const stream = new Readable({
+    read() {
+      this.destroy(new Error('ECONNRESET'));
+    }
+  });
+  await assert.rejects(readBodyCapped(stream, 100), /ECONNRESET/);
+});
+
+test('normalizeLimits falls back to the defaults and rejects unknown rawHtml modes', () => {
+  const limits = normalizeLimits({ maxResponseBytes: 'x', rawHtml: 'TRUNCATE', maxLinks: 5 });
+  assert.equal(limits.maxResponseBytes, 10 * 1024 * 1024);
+  assert.equal(limits.rawHtml.mode, 'truncate');
+  assert.equal(limits.extraction.maxLinks, 5);
+  assert.throws(() => normalizeLimits({ rawHtml: 'gzip' }), (err) => err.statusCode === 400);
+});
+
+test('createRunBudget reports the time budget once it is used up', () => {
+  let now = 0;
+  const budget = createRunBudget({ maxRunTimeSecs: 2 }, { now: () => now });
+  assert.equal(budget.exceeded(), null);
+  assert.equal(budget.remainingMs(), 2000);
+  now = 2500;
+  assert.equal(budget.remainingMs(), 0);
+  assert.equal(budget.exceeded().budget, 'time');
+  assert.equal(createRunBudget({}).remainingMs(), Infinity);
+  assert.equal(createRunBudget({}).exceeded(), null);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNetworkPolicy, isPublicAddress, isUrlNotAllowed } from '../lib/network-policy.js';
+
+test('isPublicAddress refuses private, loopback, link-local and reserved ranges', () => {
+  for (const address of [
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.16.0.1',
+    '192.168.1.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '::1',
+    '::',
+    'fd00::1',
+    'fe80::1',
+    '[::1]'
+  ]) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+  for (const address of ['93.184.216.34', '1.1.1.1', '2606:4700:4700::1111']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+});
+
+test('isPublicAddress judges IPv4 hidden in IPv6 as IPv4', () => {
+  assert.equal(isPublicAddress('::ffff:127.0.0.1'), false);
+  assert.equal(isPublicAddress('::ffff:7f00:1'), false);
+  assert.equal(isPublicAddress('64:ff9b::a9fe:a9fe'), false);
+  assert.equal(isPublicAddress('::ffff:1.1.1.1'), true);
+  assert.equal(isPublicAddress('not an ip'), false);
+});
+
+test('check refuses IP literals on the internal network', async () => {
+  const network = createNetworkPolicy({ allowPrivateNetwork: false });
+  for (const url of ['http://127.0.0.1/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]:8080/']) {
+    const verdict = await network.check(url);
+    assert.equal(verdict.allowed, false, url);
+    assert.ok(verdict.address, url);
+  }
+  assert.equal((await network.check('http://1.1.1.1/')).allowed, true);
+});
+
+test('check refuses host names that resolve to a private address', async () => {
+  const verdict = await createNetworkPolicy({ allowPrivateNetwork: false }).check('http://localhost:3000/');
+  assert.equal(verdict.allowed, false);
+  assert.equal(verdict.host, 'localhost');
+});
+
+test('check refuses other schemes and unparseable URLs', async () => {
+  const network = createNetworkPolicy({ allowPrivateNetwork: false });
+  assert.match((await network.check('file:///etc/passwd')).reason, /file: scheme/);
+  assert.match((await network.check('ftp://1.1.1.1/')).reason, /ftp: scheme/);
+  assert.equal((await network.check('not a url')).allowed, false);
+});
+
+test('allowPrivateNetwork lifts the address check', async () => {
+  const network = createNetworkPolicy({ allowPrivateNetwork: true });
+  assert.equal((await network.check('http://127.0.0.1:3000/')).allowed, true);
+  assert.equal((await network.check('http://localhost/')).allowed, true);
+});
+
+test('domain lists cover subdomains, and the deny list wins', async () => {
+  const network = createNetworkPolicy({
+    allowedDomains: ['example.com', '*.example.org'],
+    deniedDomains: ['admin.example.com'],
+    allowPrivateNetwork: true
+  });
+  assert.equal((await network.check('https://example.com/')).allowed, true);
+  assert.equal((await network.check('https://www.example.com/')).allowed, true);
+  assert.equal((await network.check('https://shop.example.org/')).allowed, true);
+  assert.match((await network.check('https://admin.example.com/')).reason, /denied domains/);
+  assert.match((await network.check('https://notexample.com/')).reason, /allowed domains/);
+});
+
+test('lists: false skips the domain lists but keeps the address check', async () => {
+  const network = createNetworkPolicy({ allowedDomains: ['example.com'], allowPrivateNetwork: false });
+  assert.equal((await network.check('https://1.1.1.1/v1', { lists: false })).allowed, true);
+  assert.equal((await network.check('https://1.1.1.1/v1')).allowed, false);
+  assert.equal((await network.check('http://127.0.0.1:11434/v1', { lists: false })).allowed, false);
+});
+
+test('input fields win over the env vars', async (t) => {
+  const saved = { ...process.env };
+  t.after(() => {
+    process.env = saved;
+  });
+  process.env.ALLOW_PRIVATE_NETWORK = '1';
+  process.env.DENIED_DOMAINS = 'example.com';
+  assert.equal((await createNetworkPolicy({}).check('http://127.0.0.1/')).allowed, true);
+  assert.equal((await createNetworkPolicy({}).check('https://example.com/')).allowed, false);
+  assert.equal((await createNetworkPolicy({ allowPrivateNetwork: false }).check('http://127.0.0.1/')).allowed, false);
+  assert.equal((await createNetworkPolicy({ deniedDomains: [] }).check('https://example.com/')).allowed, true);
+});
+
+test('assertAllowed throws a 403 URL_NOT_ALLOWED with the host and address', async () => {
+  const network = createNetworkPolicy({ allowPrivateNetwork: false });
+  await assert.rejects(network.assertAllowed('http://10.0.0.1/'), (err) => {
+    assert.ok(isUrlNotAllowed(err));
+    assert.equal(err.statusCode, 403);
+    assert.equal(err.publicPayload.url, 'http://10.0.0.1/');
+    assert.deepEqual(err.publicPayload.details, { host: '10.0.0.1', address: '10.0.0.1' });
+    return true;
+  });
+});
+
+test('beforeRedirect refuses a redirect to a private address', () => {
+  const network = createNetworkPolicy({ allowPrivateNetwork: false });
+  assert.throws(() => network.axiosOptions.beforeRedirect({ href: 'http://169.254.169.254/' }), isUrlNotAllowed);
+  assert.doesNotThrow(() => network.axiosOptions.beforeRedirect({ href: 'https://1.1.1.1/' }));
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { classifyError, describeRetryFailure, RETRY_FAILURES, withRetry } from '../lib/retry.js';
+import { scrapeAndSummarize } from '../route.js';
+
+const httpError = (status) => Object.assign(new Error(`HTTP_ERROR_${status}`), { httpStatus: status });
+
+const attempt = (method, status) => {
+  const { errorClass } = classifyError(httpError(status));
+  return { method, error: `HTTP_ERROR_${status}`, errorClass };
+};
+const blockedInBrowser = { method: 'BROWSER', error: 'BLOCKED_OR_EMPTY', errorClass: 'blocked' };
+
+test('classifyError sorts HTTP statuses and network codes', () => {
+  assert.deepEqual(classifyError(httpError(503)), { errorClass: 'server', retryable: true, status: 503 });
+  assert.deepEqual(classifyError(httpError(501)), { errorClass: 'server', retryable: false, status: 501 });
+  assert.deepEqual(classifyError(httpError(429)), { errorClass: 'rate_limited', retryable: true, status: 429 });
+  assert.deepEqual(classifyError(httpError(404)), { errorClass: 'client', retryable: false, status: 404 });
+  assert.equal(classifyError(Object.assign(new Error('x'), { code: 'ENOTFOUND' })).errorClass, 'dns');
+  assert.equal(classifyError(Object.assign(new Error('x'), { code: 'EAI_AGAIN' })).retryable, true);
+  assert.equal(classifyError(Object.assign(new Error('x'), { code: 'CERT_HAS_EXPIRED' })).errorClass, 'tls');
+  assert.equal(classifyError(Object.assign(new Error('x'), { code: 'ECONNRESET' })).errorClass, 'network');
+  assert.equal(classifyError(new Error('BLOCKED_OR_EMPTY')).errorClass, 'blocked');
+});
+
+test('withRetry retries transient errors and records every try', async () => {
+  const history = [];
+  let calls = 0;
+  const result = await withRetry(
+    async () => {
+      calls++;
+      if (calls < 3) throw httpError(503);
+      return 'ok';
+    },
+    { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 2 },
+    { method: 'HTTP', history }
+  );
+  assert.equal(result, 'ok');
+  assert.equal(history.length, 2);
+  assert.ok(history.every((a) => a.errorClass === 'server' && a.retryInMs !== undefined));
+});
+
+test('withRetry gives up on fatal errors straight away', async () => {
+  const history = [];
+  await assert.rejects(
+    withRetry(() => Promise.reject(httpError(404)), { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 1 }, { history }),
+    /HTTP_ERROR_404/
+  );
+  assert.equal(history.length, 1);
+});
+
+test('describeRetryFailure maps persistent 5xx and 429 to their error types', () => {
+  assert.equal(describeRetryFailure([attempt('HTTP', 503), attempt('HTTP', 503)])[0], 'SERVER_ERROR');
+  assert.equal(describeRetryFailure([attempt('HTTP', 429), attempt('HTTP', 429)])[0], 'RATE_LIMITED');
+  assert.equal(describeRetryFailure([attempt('HTTP', 404)])[0], 'HTTP_ERROR');
+});
+
+test('describeRetryFailure keeps the HTTP error type after a browser fallback', () => {
+  assert.equal(describeRetryFailure([attempt('HTTP', 503), attempt('HTTP', 503), blockedInBrowser])[0], 'SERVER_ERROR');
+  assert.equal(describeRetryFailure([attempt('HTTP', 429), blockedInBrowser])[0], 'RATE_LIMITED');
+  // A 403 the browser couldn't get past either is a block, not an HTTP error.
+  assert.equal(describeRetryFailure([attempt('HTTP', 403), blockedInBrowser]), null);
+  // The browser's own network failure says more than the HTTP one.
+  const reset = { method: 'BROWSER', error: 'net::ERR_CONNECTION_RESET', errorClass: 'network' };
+  assert.equal(describeRetryFailure([attempt('HTTP', 503), reset])[0], 'NETWORK_ERROR');
+  assert.equal(describeRetryFailure([]), null);
+});
+
+test('every retry failure has an error type and a message', () => {
+  for (const [errorClass, [errorType, message]] of Object.entries(RETRY_FAILURES)) {
+    assert.match(errorType, /^[A-Z_]+$/, errorClass);
+    assert.ok(message.length > 0, errorClass);
+  }
+});
+
+test('a page that keeps failing reports the documented errorType', async (t) => {
+  const server = http.createServer((req, res) => {
+    res.statusCode = Number(req.url.slice(1));
+    res.end('unavailable');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  for (const [status, errorType] of [
+    [503, 'SERVER_ERROR'],
+    [429, 'RATE_LIMITED']
+  ]) {
+    await assert.rejects(
+      scrapeAndSummarize(
+        {
+          url: `http://127.0.0.1:${server.address().port}/${status}`,
+          mode: 'http',
+          allowPrivateNetwork: true,
+          respectRobotsTxt: false,
+          retryMaxAttempts: 2,
+          retryBaseDelayMs: 1,
+          retryMaxDelayMs: 2
+        },
+        { proxyRotator: null, robots: null, domainLimiter: null }
+      ),
+      (err) => {
+        assert.equal(err.statusCode, 422);
+        assert.equal(err.publicPayload.errorType, errorType);
+        assert.equal(err.publicPayload.details.attempts.length, 2);
+        return true;
+      }
+    );
+  }
+});
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import net from 'node:net';
+import { createApiServer } from '../lib/server.js';
+import { pickRequestFields, resolveRequestCaps } from '../lib/request-fields.js';
+
+const listen = async (t, server) => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+};
+
+const startApi = (t, options = {}) =>
+  listen(
+    t,
+    createApiServer({
+      apiKeys: 'secret',
+      defaults: { allowPrivateNetwork: true, respectRobotsTxt: false, mode: 'http' },
+      ...options
+    })
+  );
+
+const post = (base, path, body, headers = { Authorization: 'Bearer secret' }) =>
+  fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+test('a malformed request target gets a 400 and the server keeps running', async (t) => {
+  const base = await startApi(t);
+  const { port } = new URL(base);
+  const reply = await new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => socket.end('GET http://[ HTTP/1.1\r\nHost: x\r\n\r\n'));
+    let data = '';
+    socket.on('data', (chunk) => (data += chunk));
+    socket.on('end', () => resolve(data));
+    socket.on('error', reject);
+  });
+  assert.match(reply, /^HTTP\/1\.1 400/);
+  assert.match(reply, /"errorType":"BAD_REQUEST"/);
+  assert.equal((await fetch(`${base}/health`)).status, 200);
+});
+
+test('routes, methods and API keys are checked before the body is read', async (t) => {
+  const base = await startApi(t);
+  assert.equal((await fetch(`${base}/health`)).status, 200);
+  assert.equal((await post(base, '/nope', {})).status, 404);
+  const wrongMethod = await fetch(`${base}/scrape`, { headers: { Authorization: 'Bearer secret' } });
+  assert.equal(wrongMethod.status, 405);
+  assert.equal(wrongMethod.headers.get('allow'), 'POST');
+  const noKey = await post(base, '/scrape', {}, {});
+  assert.equal(noKey.status, 401);
+  assert.equal((await noKey.json()).errorType, 'UNAUTHORIZED');
+  assert.equal((await post(base, '/scrape', {}, { 'X-API-Key': 'wrong' })).status, 401);
+});
+
+test('bad bodies get a 400 or 413', async (t) => {
+  const base = await startApi(t, { maxBodyBytes: 64 });
+  for (const body of ['{', '[]', 'null']) {
+    const res = await post(base, '/scrape', body);
+    assert.equal(res.status, 400, body);
+    assert.equal((await res.json()).errorType, 'INVALID_JSON');
+  }
+  const tooLarge = await post(base, '/scrape', { url: `https://example.com/${'a'.repeat(100)}` });
+  assert.equal(tooLarge.status, 413);
+  assert.equal((await tooLarge.json()).errorType, 'PAYLOAD_TOO_LARGE');
+  const missingUrl = await post(base, '/batch', {});
+  assert.equal((await missingUrl.json()).errorType, 'URL_REQUIRED');
+});
+
+test('each API key gets its own rate limit', async (t) => {
+  const base = await startApi(t, { apiKeys: 'a,b', rateLimitPerMinute: 1 });
+  assert.equal((await post(base, '/nope', {}, { 'X-API-Key': 'a' })).status, 404);
+  const first = await post(base, '/batch', {}, { 'X-API-Key': 'a' });
+  assert.equal(first.status, 400);
+  assert.equal(first.headers.get('x-ratelimit-remaining'), '0');
+  const limited = await post(base, '/batch', {}, { 'X-API-Key': 'a' });
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  assert.equal((await post(base, '/batch', {}, { 'X-API-Key': 'b' })).status, 400);
+});
+
+test('too many actions are refused before anything is fetched', async (t) => {
+  const base = await startApi(t, { maxActions: 2 });
+  const actions = [{ action: 'wait' }, { action: 'wait' }, { action: 'wait' }];
+  const res = await post(base, '/scrape', { url: 'https://example.com/', actions });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).errorType, 'TOO_MANY_ACTIONS');
+});
+
+test('a scrape keeps the operator settings the caller may not change', async (t) => {
+  let seen;
+  const target = await listen(
+    t,
+    http.createServer((req, res) => {
+      seen = req.headers;
+      res.setHeader('Content-Type', 'text/html');
+      res.end(`<html><head><title>Local</title></head><body><p>${'Some text. '.repeat(100)}</p></body></html>`);
+    })
+  );
+  const base = await startApi(t);
+
+  const res = await post(base, '/scrape', {
+    url: `${target}/page`,
+    userAgent: 'test-agent',
+    customHeaders: { 'X-Injected': '1' },
+    allowPrivateNetwork: false
+  });
+  assert.equal(res.status, 200);
+  const record = await res.json();
+  assert.equal(record.title, 'Local');
+  assert.equal(seen['user-agent'], 'test-agent');
+  assert.equal(seen['x-injected'], undefined);
+});
+
+test('pickRequestFields drops operator fields and caps caller values', () => {
+  const caps = resolveRequestCaps({ maxWaitForSelectorTimeoutMs: 1000, maxRetryAttempts: 2, maxActionRepeats: 3 });
+  const picked = pickRequestFields(
+    {
+      url: 'https://example.com/',
+      llmBaseUrl: 'http://attacker.example/',
+      proxyUrls: ['http://proxy.example/'],
+      waitForSelectorTimeoutMs: 60000,
+      retryMaxAttempts: 99,
+      actions: [{ action: 'scrollToBottom', maxScrolls: 50 }]
+    },
+    caps
+  );
+  assert.deepEqual(Object.keys(picked).sort(), ['actions', 'retryMaxAttempts', 'url', 'waitForSelectorTimeoutMs']);
+  assert.equal(picked.waitForSelectorTimeoutMs, 1000);
+  assert.equal(picked.retryMaxAttempts, 2);
+  assert.equal(picked.actions[0].maxScrolls, 3);
+  assert.deepEqual(pickRequestFields(null, caps), {});
+});